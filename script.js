@@ -1,63 +1,49 @@
 // ==========================================
-// [사용자 설정 옵션]
-// 1. 엄격한 입력 모드: 정답이 아니면 아예 입력되지 않게 합니다 (true: 켜기)
-const STRICT_INPUT_MODE = true; 
-
-// 2. 늦은 답변 봐주기: 문제가 바뀐 직후(1.5초)에 이전 정답을 입력하면 무시함 (true: 켜기)
-const IGNORE_LATE_ANSWERS = true;
-
-// 3. 전환멈춤 구간: 숫자가 바뀐 직후 이 시간(ms) 동안은 입력을 받지 않음 (기본값: 500)
-const INPUT_BLOCK_DURATION = 500;
+// [입력 규칙 기본값] 설정 화면의 "Input Rules"에서 변경하며 localStorage에 저장됩니다.
+const DEFAULT_INPUT_POLICY = {
+  // 1. 엄격한 입력 모드: 정답이 아니면 아예 입력되지 않게 합니다
+  strictInput: true,
+  // 2. 늦은 답변 봐주기: 문제가 바뀐 직후(lateAnswerWindow ms)에 이전 정답을 입력하면 무시함
+  ignoreLateAnswers: true,
+  lateAnswerWindow: 1500,
+  // 3. 전환멈춤 구간: 숫자가 바뀐 직후 이 시간(ms) 동안은 입력을 받지 않음
+  inputBlockDuration: 500
+};
+const LATE_ANSWER_WINDOWS = [1000, 1500, 2000];      // ms
+const INPUT_BLOCK_DURATIONS = [0, 250, 500, 750, 1000]; // ms
 
 // 스마트 확률형 숫자 생성기
 // 패턴이 감지되면 '무조건 차단'하지 않고, '주사위를 굴려서' 통과 여부를 결정합니다.
-// function generateNumber() { 해당 함수로 가서 확률 조정
+// 확률과 규칙은 설정 화면의 "Sequence Rules"에서 조정 (기본값: session-engine.js 의 DEFAULT_SEQUENCE_RULES)
 
 // ==========================================
 
-// 이전 정답을 기억하기 위한 변수 (수정하지 마세요)
-let previousRoundAnswer = null;
-let lastRoundChangeTime = 0;
-let inputBlockedUntil = 0;  // [새로 추가] 이 시간까지 입력 차단
-
 // Howler.js audio system variables
-let howlReady = false;
-let numberSounds = {};
+let numberSounds = {};  // voice id -> { digit: Howl }
+let failedSounds = new Set(); // Howls that failed to load or play - a fallback speaks instead
+let voicePacks = {};    // voice id -> { label, fallback, digits } from the manifest
+let defaultVoiceId = 'A';
+let numberBuffers = {};           // voice id -> { digit: AudioBuffer } for onset scheduling - Howler's decoded file, shared by a sprite's digits
+let digitSprites = {};            // voice id -> { digit: [offset, duration] } (ms in the file) - the speech without the silence around it
+let scheduledSources = new Set(); // Buffer sources queued on the AudioContext timeline
+let fallbackPlayTimers = new Set(); // Timers waiting to play a number through Howler
+let sessionAudioContext = null;   // AudioContext whose clock drives the running session
 let audioInitialized = false;
 let activeAudioContext = null;
 
 
 
 // State tracking variables for answer handling
-let lastPresentedNumber = null;  // The most recently presented number
-let currentNumber = null;        // Current number being played
-let correctAnswer = null;        // Current correct answer
-let currentIntervalId = null;    // Current interval timer
 let audioPlayInProgress = false; // Flag for audio playing
-let processingAnswer = false;    // Flag for answer processing
-let nextPresentationTime = 0;    // When the next number should be presented
-let forcePresentNextNumber = false; // Flag to force next number presentation
 let useNumberPad = false;
-let answerProcessed = false;     // Track if current answer has been processed
 
 // N-back variables
 let nbackValue = 1;              // Current N-back setting (1-back, 2-back, etc.)
-let numberSequence = [];         // Array to store the sequence of numbers for N-back calculations
-
-let currentTrialId = 0;         // Track which trial we're currently on
-let nextNumberScheduled = false; // Track if next number has been scheduled
-
-// Training state
-let trainingTimerId = null;
-let currentISIValue = 3000;
-let consecutiveCorrect = 0;
-let consecutiveIncorrect = 0;
-let sessionHistory = [];
-let totalCorrect = 0;
-let totalAttempts = 0;
-let lowestISI = 3000;
-let remainingTime = 20 * 60; // in seconds
-let sessionActive = false; // Track if training session is active
+
+// Training state - the session itself runs in the headless engine (session-engine.js)
+let sessionEngine = null;        // Engine for the active (or last) session
+let sessionHistory = [];         // Trials of the active (or last) session
+
 // [추가] 피드백 설정 변수
 let feedbackSettings = {
   enabled: true,    // 피드백 표시 여부 (기본값: 켜짐)
@@ -65,52 +51,490 @@ let feedbackSettings = {
 };
 // Beep system is now HTML5-based, no AudioContext initialization needed
 
+// Voice packs are listed in audio/manifest.json.
+// A pack is either one sprite file with named segments ({ src, segments: { 1-9, beep: [offset, duration] } })
+// or one file per digit. If the manifest can't be fetched (e.g. opened from file://), only the original voice is used.
+// The sprite files and their segment offsets are generated from the per-digit recordings by tools/build-voice-sprites.js;
+// the per-digit files stay in audio/ as its sources and as the fallback below.
+const VOICE_MANIFEST_URL = 'audio/manifest.json';
+const DEFAULT_VOICE_MANIFEST = {
+  basePath: 'audio/',
+  voices: [
+    {
+      id: 'A',
+      label: 'Voice A',
+      files: {
+        1: 'one.wav', 2: 'two.wav', 3: 'three.wav', 4: 'four.wav', 5: 'five.wav',
+        6: 'six.wav', 7: 'seven.wav', 8: 'eight.wav', 9: 'nine.wav'
+      }
+    }
+  ]
+};
+
+// Load the voice pack manifest
+async function loadVoiceManifest() {
+  try {
+    const response = await fetch(VOICE_MANIFEST_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const manifest = await response.json();
+    if (!manifest || !Array.isArray(manifest.voices) || manifest.voices.length === 0) {
+      throw new Error('No voices in manifest');
+    }
+    return manifest;
+  } catch (error) {
+    console.error('Error loading voice manifest, using the default voice:', error);
+    return DEFAULT_VOICE_MANIFEST;
+  }
+}
+
 // Improved initialization for Howler with better error handling
-function initializeHowlerAudio() {
-  // Define the number files
-  const numberFiles = {
-    1: 'audio/one.wav',
-    2: 'audio/two.wav',
-    3: 'audio/three.wav',
-    4: 'audio/four.wav',
-    5: 'audio/five.wav',
-    6: 'audio/six.wav',
-    7: 'audio/seven.wav',
-    8: 'audio/eight.wav',
-    9: 'audio/nine.wav'
-  };
+async function initializeHowlerAudio() {
+  const manifest = await loadVoiceManifest();
+  const basePath = manifest.basePath || '';
+  defaultVoiceId = manifest.voices[0].id;
+  
+  // Create one Howl per sprite pack, or one per number
+  manifest.voices.forEach(voice => {
+    if (voice.sprite) {
+      registerSpritePack(voice.id, voice.label || voice.id, voice.fallback || null, basePath + voice.sprite.src, voice.sprite.segments);
+      return;
+    }
+    const sources = {};
+    Object.keys(voice.files).forEach(digit => {
+      sources[digit] = { src: basePath + voice.files[digit] };
+    });
+    registerVoicePack(voice.id, voice.label || voice.id, voice.fallback || null, sources);
+  });
+  
+  // The feedback beep comes from the default voice's sprite when it has one
+  const defaultSprite = manifest.voices[0].sprite;
+  initializeBeepAudio(defaultSprite && defaultSprite.segments.beep
+    ? {
+      src: basePath + defaultSprite.src,
+      segment: defaultSprite.segments.beep,
+      voiceSound: Object.values(numberSounds[defaultVoiceId])[0] || null
+    }
+    : null);
   
-  // Track loaded sounds
-  let loadedCount = 0;
-  const totalSounds = Object.keys(numberFiles).length;
+  // The voice setting lists whatever the manifest provides
+  updateVoiceUI();
   
+  // Add the user's own recordings, if any
+  await loadCustomVoicePack();
+}
 
+// Create Howls for a voice pack - sources: { digit: { src, format } }
+function registerVoicePack(voiceId, label, fallback, sources) {
+  unregisterVoicePack(voiceId);
+  numberSounds[voiceId] = {};
+  voicePacks[voiceId] = {
+    label: label,
+    fallback: fallback,
+    digits: Object.keys(sources).map(Number)
+  };
   
-  // Create Howls for each number
-  for (let i = 1; i <= 9; i++) {
-    numberSounds[i] = new Howl({
-      src: [numberFiles[i]],
+  Object.keys(sources).forEach(digit => {
+    const source = sources[digit];
+    const sound = new Howl({
+      src: [source.src],
+      format: source.format ? [source.format] : undefined, // Blob URLs have no extension
       preload: true,
       html5: false, // Use Web Audio API for more reliable playback
       onload: function() {
-        loadedCount++;
-        
-        if (loadedCount === totalSounds) {
-          howlReady = true;
-        }
+        failedSounds.delete(sound); // Loaded after the preflight gave up on it
       },
       onloaderror: function(id, err) {
-        console.error(`Error loading audio file for number ${i}:`, err);
+        failedSounds.add(sound);
+        console.error(`Error loading audio file for number ${digit} (${voiceId}):`, err);
       }
     });
     
     // Force the howl to preload with more reliable cache loading
-    numberSounds[i].load();
+    sound.load();
+    numberSounds[voiceId][digit] = sound;
+    loadNumberBuffers(voiceId, sound, { [digit]: null });
+  });
+}
+
+// Create a single Howl for a sprite pack - segments: { name: [offset, duration] } (ms)
+// Every digit plays through it by segment name; other segments (e.g. beep) are not digits.
+// The file is fetched and decoded once, by Howler - scheduled playback reuses that buffer.
+function registerSpritePack(voiceId, label, fallback, src, segments) {
+  unregisterVoicePack(voiceId);
+  const digits = Object.keys(segments).filter(name => /^[1-9]$/.test(name));
+  numberSounds[voiceId] = {};
+  voicePacks[voiceId] = {
+    label: label,
+    fallback: fallback,
+    digits: digits.map(Number),
+    segments: segments
+  };
+  
+  const sound = new Howl({
+    src: [src],
+    sprite: Object.assign({}, segments), // Digits are narrowed to their speech once decoded
+    preload: true,
+    html5: false, // Use Web Audio API for more reliable playback
+    onload: function() {
+      failedSounds.delete(sound); // Loaded after the preflight gave up on it
+    },
+    onloaderror: function(id, err) {
+      failedSounds.add(sound);
+      console.error(`Error loading audio sprite (${voiceId}):`, err);
+    }
+  });
+  sound.load();
+  digits.forEach(digit => {
+    numberSounds[voiceId][digit] = sound;
+  });
+  
+  const digitSegments = {};
+  digits.forEach(digit => {
+    digitSegments[digit] = segments[digit];
+  });
+  loadNumberBuffers(voiceId, sound, digitSegments);
+}
+
+// Howler's AudioContext (null when Howler fell back to HTML5 audio)
+function getWebAudioContext() {
+  return typeof Howler !== 'undefined' && Howler.usingWebAudio && Howler.ctx ? Howler.ctx : null;
+}
+
+// Run callback once a Howl has finished loading, whether it worked or not
+function whenSoundSettled(sound, callback) {
+  if (sound.state() !== 'loading') {
+    callback();
+    return;
+  }
+  sound.once('load', callback);
+  sound.once('loaderror', callback);
+}
+
+// The AudioBuffer Howler decoded for a loaded Howl (null with HTML5 audio or before it loaded).
+// Howler 2.2.3 (vendor/howler.min.js) keeps its decode cache private; _refreshBuffer() is how it
+// hands a buffer to a sound, so give it a throwaway node that is never connected to the output.
+function getHowlBuffer(sound) {
+  const audioContext = getWebAudioContext();
+  if (!audioContext || sound.state() !== 'loaded' || typeof sound._refreshBuffer !== 'function') return null;
+  const probe = { _node: audioContext.createGain(), _loop: false, _rate: 1 };
+  sound._refreshBuffer(probe);
+  const source = probe._node.bufferSource;
+  source.disconnect();
+  return source.buffer || null;
+}
+
+// Once Howler has decoded a file, let the session queue its digits on the AudioContext timeline
+// and narrow each digit's sprite in the Howl to its speech, so Howler plays the same boundaries
+// segments: { digit: [offset, duration] (ms) within the file, or null for the whole file }
+function loadNumberBuffers(voiceId, sound, segments) {
+  if (!getWebAudioContext()) return;
+  
+  if (!numberBuffers[voiceId]) numberBuffers[voiceId] = {};
+  const buffers = numberBuffers[voiceId];
+  whenSoundSettled(sound, () => {
+    // Ignore loads that finish after the pack was replaced
+    if (numberBuffers[voiceId] !== buffers) return;
+    const buffer = getHowlBuffer(sound);
+    if (!buffer) return;
+    if (!digitSprites[voiceId]) digitSprites[voiceId] = {};
+    Object.keys(segments).forEach(digit => {
+      const sprite = measureDigitSprite(buffer, segments[digit]);
+      buffers[digit] = buffer;
+      digitSprites[voiceId][digit] = sprite;
+      sound._sprite[digit] = sprite;
+    });
+  });
+}
+
+// Leading and trailing silence are trimmed, keeping a little around the speech
+// so soft onsets (f, s, th) and decays aren't clipped
+const SPEECH_PADDING = { before: 10, after: 40 }; // ms
+
+// Sprite [offset, duration] (ms, Howler's format) of the speech in a digit recording,
+// within segment [offset, duration] of the file (null = the whole file)
+function measureDigitSprite(buffer, segment = null) {
+  const [segmentStart, segmentDuration] = segment || [0, buffer.length / buffer.sampleRate * 1000];
+  const bounds = measureSpeechBounds(buffer, [segmentStart, segmentDuration]);
+  const offset = Math.max(segmentStart, bounds.start - SPEECH_PADDING.before);
+  const end = Math.min(segmentStart + segmentDuration, bounds.end + SPEECH_PADDING.after);
+  return [Math.round(offset), Math.round(end - offset)];
+}
+
+// The measured sprite of a digit; until it is decoded, its segment in a sprite pack (or null)
+function getDigitSprite(number, voiceId) {
+  if (digitSprites[voiceId] && digitSprites[voiceId][number]) {
+    return digitSprites[voiceId][number];
+  }
+  const pack = voicePacks[voiceId];
+  return pack && pack.segments && pack.segments[number] ? pack.segments[number] : null;
+}
+
+// Stop and drop a voice pack's Howls
+function unregisterVoicePack(voiceId) {
+  if (numberSounds[voiceId]) {
+    new Set(Object.values(numberSounds[voiceId])).forEach(sound => {
+      sound.stop();
+      sound.unload();
+      failedSounds.delete(sound);
+    });
+  }
+  delete numberSounds[voiceId];
+  delete numberBuffers[voiceId];
+  delete digitSprites[voiceId];
+  delete voicePacks[voiceId];
+}
+
+// Find a number in numberSounds/numberBuffers, following the pack's fallback voice for missing digits
+// isUsable(asset) can skip assets that exist but don't work
+function findVoiceAsset(collection, number, voiceId, isUsable = () => true) {
+  let currentVoice = collection[voiceId] ? voiceId : Object.keys(collection)[0];
+  const visited = new Set();
+  
+  while (currentVoice && !visited.has(currentVoice)) {
+    visited.add(currentVoice);
+    if (collection[currentVoice] && collection[currentVoice][number] && isUsable(collection[currentVoice][number])) {
+      return { asset: collection[currentVoice][number], voice: currentVoice };
+    }
+    currentVoice = voicePacks[currentVoice] ? voicePacks[currentVoice].fallback : null;
+  }
+  return null;
+}
+
+// Find the recording for a number, skipping recordings that failed
+// sprite is the number's segment in the Howl: a sprite pack's, or the measured speech of a
+// per-digit file once it was decoded (undefined plays the whole file)
+function getNumberSound(number, voiceId) {
+  const found = findVoiceAsset(numberSounds, number, voiceId, sound => !failedSounds.has(sound));
+  if (!found) return null;
+  const sprite = found.asset._sprite[number] ? String(number) : undefined;
+  return { sound: found.asset, voice: found.voice, sprite: sprite };
+}
+
+// Every loaded number sound, across all voices (a sprite pack's Howl only once)
+function getAllNumberSounds() {
+  const sounds = new Set();
+  Object.values(numberSounds).forEach(voiceSounds => {
+    Object.values(voiceSounds).forEach(sound => sounds.add(sound));
+  });
+  return Array.from(sounds);
+}
+
+// ==========================================
+// My Voice: digits recorded in the browser or imported, stored in IndexedDB (voice-store.js)
+const CUSTOM_VOICE_ID = 'custom';
+const CUSTOM_VOICE_MAX_RECORDING = 3000; // 녹음은 3초 후 자동으로 멈춤
+const AUDIO_FORMATS = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac'
+};
+let customVoiceUrls = [];   // Object URLs of the registered recordings
+let voiceRecorder = null;   // { recorder, stream, digit, timeoutId } while recording
+
+// Howler format for a Blob's MIME type
+function getAudioFormat(mimeType) {
+  return AUDIO_FORMATS[(mimeType || '').split(';')[0]] || 'webm';
+}
+
+// (Re)register the recorded voice pack from IndexedDB
+async function loadCustomVoicePack() {
+  let recordings = {};
+  try {
+    recordings = await loadVoiceRecordings(CUSTOM_VOICE_ID);
+  } catch (error) {
+    console.error('Error loading recorded voice:', error);
+  }
+  
+  const previousUrls = customVoiceUrls;
+  customVoiceUrls = [];
+  const digits = Object.keys(recordings);
+  
+  if (digits.length === 0) {
+    unregisterVoicePack(CUSTOM_VOICE_ID);
+  } else {
+    const sources = {};
+    digits.forEach(digit => {
+      const url = URL.createObjectURL(recordings[digit]);
+      customVoiceUrls.push(url);
+      sources[digit] = { src: url, format: getAudioFormat(recordings[digit].type) };
+    });
+    // Digits that were not recorded are spoken by the default voice
+    registerVoicePack(CUSTOM_VOICE_ID, 'My Voice', defaultVoiceId, sources);
+  }
+  previousUrls.forEach(url => URL.revokeObjectURL(url));
+  
+  updateVoiceUI();
+  updateMyVoiceUI();
+}
+
+// Store a recorded or imported digit and refresh the pack
+async function storeDigitRecording(digit, blob) {
+  try {
+    await saveVoiceRecording(CUSTOM_VOICE_ID, digit, blob);
+  } catch (error) {
+    console.error('Error saving recorded digit:', error);
+    setMyVoiceStatus('Could not save the recording in this browser.');
+    return;
+  }
+  await loadCustomVoicePack();
+  setMyVoiceStatus(`Saved ${digit}.`);
+}
+
+// Record one digit with the microphone
+async function startDigitRecording(digit) {
+  if (voiceRecorder) {
+    stopDigitRecording();
+    return;
+  }
+  if (!window.MediaRecorder || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    setMyVoiceStatus('Recording is not supported in this browser. Import audio files instead.');
+    return;
+  }
+  
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (error) {
+    console.error('Error accessing microphone:', error);
+    setMyVoiceStatus('Microphone access was denied.');
+    return;
+  }
+  
+  const chunks = [];
+  const recorder = new MediaRecorder(stream);
+  recorder.ondataavailable = event => {
+    if (event.data && event.data.size > 0) chunks.push(event.data);
+  };
+  recorder.onstop = () => {
+    stream.getTracks().forEach(track => track.stop());
+    if (chunks.length > 0) {
+      storeDigitRecording(digit, new Blob(chunks, { type: recorder.mimeType || 'audio/webm' }));
+    }
+  };
+  
+  voiceRecorder = {
+    recorder: recorder,
+    stream: stream,
+    digit: digit,
+    timeoutId: setTimeout(stopDigitRecording, CUSTOM_VOICE_MAX_RECORDING)
+  };
+  recorder.start();
+  setMyVoiceStatus(`Recording ${digit}... say the digit, it stops after ${CUSTOM_VOICE_MAX_RECORDING / 1000} seconds.`);
+  updateMyVoiceUI();
+}
+
+function stopDigitRecording() {
+  if (!voiceRecorder) return;
+  clearTimeout(voiceRecorder.timeoutId);
+  if (voiceRecorder.recorder.state !== 'inactive') {
+    voiceRecorder.recorder.stop();
+  }
+  voiceRecorder = null;
+  updateMyVoiceUI();
+}
+
+// Import a WAV/MP3 file for one digit
+function importDigitFile(digit, file) {
+  if (!file) return;
+  const isAudio = (file.type && file.type.startsWith('audio/')) || /\.(wav|mp3)$/i.test(file.name);
+  if (!isAudio) {
+    setMyVoiceStatus('Please choose a WAV or MP3 file.');
+    return;
+  }
+  // Some systems report no MIME type - derive it from the extension
+  const blob = file.type ? file : new Blob([file], { type: /\.mp3$/i.test(file.name) ? 'audio/mpeg' : 'audio/wav' });
+  storeDigitRecording(digit, blob);
+}
+
+// Preview a recorded digit
+function playCustomDigit(digit) {
+  const voiceSounds = numberSounds[CUSTOM_VOICE_ID];
+  if (voiceSounds && voiceSounds[digit]) {
+    voiceSounds[digit].rate(1.0);
+    voiceSounds[digit].play();
+  }
+}
+
+// Remove every recorded digit
+async function deleteCustomVoicePack() {
+  stopDigitRecording();
+  try {
+    await deleteVoiceRecordings(CUSTOM_VOICE_ID);
+  } catch (error) {
+    console.error('Error deleting recorded voice:', error);
+  }
+  await loadCustomVoicePack();
+  setMyVoiceStatus('Your recordings were deleted.');
+}
+
+function setMyVoiceStatus(message) {
+  const myVoiceStatus = document.getElementById('myVoiceStatus');
+  if (myVoiceStatus) myVoiceStatus.textContent = message;
+}
+
+// Build the 1-9 record/import grid
+function renderMyVoiceDigits() {
+  const myVoiceDigits = document.getElementById('myVoiceDigits');
+  if (!myVoiceDigits) return;
+  
+  myVoiceDigits.innerHTML = '';
+  for (let digit = 1; digit <= 9; digit++) {
+    const cell = document.createElement('div');
+    cell.className = 'my-voice-digit';
+    cell.setAttribute('data-digit', digit);
+    cell.innerHTML = `
+      <span class="my-voice-label">${digit}</span>
+      <button type="button" class="btn btn-secondary btn-sm" data-action="record">Record</button>
+      <button type="button" class="btn btn-secondary btn-sm" data-action="play">Play</button>
+      <label class="btn btn-secondary btn-sm">
+        Import
+        <input type="file" accept="audio/wav,audio/x-wav,audio/mpeg,.wav,.mp3" data-action="import" style="display: none;">
+      </label>
+    `;
+    myVoiceDigits.appendChild(cell);
+  }
+}
+
+// Mark recorded digits and the one being recorded
+function updateMyVoiceUI() {
+  const recordedDigits = voicePacks[CUSTOM_VOICE_ID] ? voicePacks[CUSTOM_VOICE_ID].digits : [];
+  document.querySelectorAll('.my-voice-digit').forEach(cell => {
+    const digit = parseInt(cell.getAttribute('data-digit'));
+    const isRecording = voiceRecorder !== null && voiceRecorder.digit === digit;
+    cell.classList.toggle('recorded', recordedDigits.includes(digit));
+    cell.classList.toggle('recording', isRecording);
+    cell.querySelector('[data-action="record"]').textContent = isRecording ? 'Stop' : 'Record';
+    cell.querySelector('[data-action="play"]').disabled = !recordedDigits.includes(digit);
+  });
+  
+  const deleteMyVoice = document.getElementById('deleteMyVoice');
+  if (deleteMyVoice) deleteMyVoice.disabled = recordedDigits.length === 0;
+}
+
+// Voice ids the next session draws from ('mixed' = every pack)
+function getSessionVoices() {
+  const available = Object.keys(voicePacks);
+  if (voiceSettings.pack === 'mixed') {
+    return available.length > 0 ? available : null;
   }
+  return available.includes(voiceSettings.pack) ? [voiceSettings.pack] : null;
 }
 
-// Simplified Howler playback
-function playNumberWithHowler(number) {
+// Stereo position of each ear (Howler stereo / StereoPannerNode)
+const EAR_PAN = { left: -1, center: 0, right: 1 };
+
+// Simplified Howler playback - resolves with { voice, duration }: the voice that spoke and
+// how long the digit lasted (ms), or nothing when it was not played
+// pan: -1 (left ear) to 1 (right ear)
+function playNumberWithHowler(number, voiceId, pan = 0) {
   return new Promise((resolve) => {
     if (audioPlayInProgress) {
       // Don't play if audio is already playing
@@ -118,33 +542,32 @@ function playNumberWithHowler(number) {
       return;
     }
     
-    // Check if audio system is ready
-    if (!howlReady) {
-      resolve();
-      return;
-    }
-    
     audioPlayInProgress = true;
     
-    if (!numberSounds[number]) {
-      audioPlayInProgress = false;
-      resolve();
+    // No working recording (failed or still loading) - let speech synthesis say it
+    const numberSound = getNumberSound(number, voiceId);
+    if (!numberSound || numberSound.sound.state() !== 'loaded') {
+      speakWithSynthesis(number).then(spoken => {
+        audioPlayInProgress = false;
+        resolve(spoken ? { voice: SPEECH_VOICE_ID, duration: null } : undefined);
+      });
       return;
     }
+    const sound = numberSound.sound;
     
     // Set volume to default (1.0)
-    numberSounds[number].volume(1.0);
+    sound.volume(1.0);
     
     // Apply playback rate from settings
-    numberSounds[number].rate(audioSpeedSettings.rate);
+    sound.rate(audioSpeedSettings.rate);
     
     // Keep track of whether we've resolved
     let hasResolved = false;
     
-    // Calculate dynamic audio window based on playback rate
-    // Base audio duration is ~500ms, so adjust window accordingly
-    const baseAudioDuration = 500; // Base audio duration in ms
-    const dynamicAudioWindow = Math.ceil(baseAudioDuration / audioSpeedSettings.rate);
+    // The digit's real length: its measured speech, or the whole file until it was decoded
+    const sprite = getDigitSprite(number, numberSound.voice);
+    const audioDuration = sprite ? sprite[1] : sound.duration() * 1000;
+    const dynamicAudioWindow = Math.ceil(audioDuration / audioSpeedSettings.rate);
     
     // Safety timeout based on dynamic audio window
     const safetyTimeout = setTimeout(() => {
@@ -157,20 +580,23 @@ function playNumberWithHowler(number) {
         hasResolved = true;
         audioPlayInProgress = false;
         clearTimeout(safetyTimeout); // Clear timeout to prevent double resolution
-        resolve();
+        resolve({ voice: numberSound.voice, duration: dynamicAudioWindow });
       }
     }
     
-    // Register the end event BEFORE playing
-    numberSounds[number].once('end', resolveOnce);
-    
     // Start playback with error handling
     try {
-      const soundId = numberSounds[number].play();
+      const soundId = sound.play(numberSound.sprite);
       
       if (soundId === null) {
         clearTimeout(safetyTimeout);
         resolveOnce();
+      } else {
+        // Only this digit's end - a sprite pack's Howl also plays other digits (e.g. distractors)
+        sound.once('end', resolveOnce, soundId);
+        if (pan !== 0 && typeof sound.stereo === 'function') {
+          sound.stereo(pan, soundId);
+        }
       }
     } catch (e) {
       clearTimeout(safetyTimeout);
@@ -179,21 +605,170 @@ function playNumberWithHowler(number) {
   });
 }
 
-// Simplified speak function
-function speakNumber(number) {
+// Offline fallback voice: the browser's speech synthesis says digits that have no working recording
+const SPEECH_VOICE_ID = 'speech';
+const SPEECH_MAX_DURATION = 2000; // Some browsers never fire 'end'
+
+function isSpeechSynthesisAvailable() {
+  return typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance !== 'undefined';
+}
+
+// Prefer a voice installed on the device (works offline), English like the recordings
+function getOfflineSpeechVoice() {
+  const localVoices = window.speechSynthesis.getVoices().filter(voice => voice.localService);
+  return localVoices.find(voice => /^en\b/i.test(voice.lang)) || localVoices[0] || null;
+}
+
+// Say a number - resolves true once it was spoken
+function speakWithSynthesis(number) {
+  return new Promise(resolve => {
+    if (!isSpeechSynthesisAvailable()) {
+      resolve(false);
+      return;
+    }
+    
+    let hasResolved = false;
+    const safetyTimeout = setTimeout(() => finish(true), SPEECH_MAX_DURATION);
+    function finish(spoken) {
+      if (!hasResolved) {
+        hasResolved = true;
+        clearTimeout(safetyTimeout);
+        resolve(spoken);
+      }
+    }
+    
+    const utterance = new SpeechSynthesisUtterance(String(number));
+    const voice = getOfflineSpeechVoice();
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    } else {
+      utterance.lang = 'en-US';
+    }
+    utterance.rate = audioSpeedSettings.rate;
+    utterance.onend = () => finish(true);
+    utterance.onerror = () => finish(false);
+    
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+  });
+}
+
+// Play a distractor digit at the same time, in the other ear (no speech fallback - it's optional)
+function playDistractorWithHowler(number, voiceId, pan) {
+  const numberSound = getNumberSound(number, voiceId);
+  if (!numberSound || numberSound.sound.state() !== 'loaded') {
+    return;
+  }
+  const sound = numberSound.sound;
+  sound.volume(1.0);
+  sound.rate(audioSpeedSettings.rate);
+  const soundId = sound.play(numberSound.sprite);
+  if (soundId === null) {
+    return;
+  }
+  if (typeof sound.stereo === 'function') {
+    sound.stereo(pan, soundId);
+  }
+}
+
+// Check whether a training session is currently running
+function isSessionActive() {
+  return sessionEngine !== null && sessionEngine.state.sessionActive;
+}
+
+// The engine's present(): speak or show the number, as the engine decided
+function presentNumber(number, trial, voice, onsetTime, details) {
+  if (details && details.modality === 'visual') {
+    return showNumber(number, trial, voice, onsetTime);
+  }
+  return speakNumber(number, trial, voice, onsetTime, details);
+}
+
+// Queue a number to start at onsetTime (session clock ms) - the engine picks the voice and ear
+function speakNumber(number, trial, voice, onsetTime, details) {
   // Don't speak if session is not active
-  if (!sessionActive) {
+  if (!isSessionActive()) {
     return Promise.resolve();
   }
-  return playNumberWithHowler(number);
+  const pan = details ? EAR_PAN[details.ear] || 0 : 0;
+  const distractor = details ? details.distractor : null;
+  
+  // Sample-accurate: start the decoded buffer at the onset on the AudioContext timeline
+  if (sessionAudioContext) {
+    const found = findVoiceAsset(numberBuffers, number, voice);
+    if (found) {
+      const distractorFound = distractor ? findVoiceAsset(numberBuffers, distractor, found.voice) : null;
+      if (distractorFound) {
+        scheduleNumberBuffer(distractorFound.asset, distractorFound.voice, onsetTime, -pan, getDigitSprite(distractor, distractorFound.voice));
+      }
+      return Promise.resolve(scheduleNumberBuffer(found.asset, found.voice, onsetTime, pan, getDigitSprite(number, found.voice)));
+    }
+  }
+  
+  // No decoded buffer (HTML5 audio, still decoding) - wait for the onset and play through Howler
+  return new Promise(resolve => {
+    const timerId = setTimeout(() => {
+      fallbackPlayTimers.delete(timerId);
+      resolve();
+    }, Math.max(0, onsetTime - sessionEngine.now()));
+    fallbackPlayTimers.add(timerId);
+  }).then(() => {
+    if (!isSessionActive() || sessionEngine.state.paused) {
+      return null;
+    }
+    const onset = sessionEngine.now();
+    if (distractor) {
+      playDistractorWithHowler(distractor, voice, -pan);
+    }
+    return playNumberWithHowler(number, voice, pan).then(played => played ? { voice: played.voice, onset: onset, duration: played.duration } : null);
+  });
+}
+
+// Start a decoded number at onsetTime; returns the voice, the onset on the audio clock and the duration
+// sprite [offset, duration] (ms) plays only the speech, so every digit is heard right at its onset
+function scheduleNumberBuffer(buffer, voice, onsetTime, pan = 0, sprite = null) {
+  const audioContext = sessionAudioContext;
+  const source = audioContext.createBufferSource();
+  source.buffer = buffer;
+  source.playbackRate.value = audioSpeedSettings.rate;
+  if (pan !== 0 && typeof audioContext.createStereoPanner === 'function') {
+    const panner = audioContext.createStereoPanner();
+    panner.pan.value = pan;
+    source.connect(panner);
+    panner.connect(Howler.masterGain);
+  } else {
+    source.connect(Howler.masterGain);
+  }
+  
+  // An onset already in the past starts right away - the measured onset shows the slip
+  const startTime = Math.max(onsetTime / 1000, audioContext.currentTime);
+  const [offset, duration] = sprite || [0, buffer.duration * 1000];
+  source.start(startTime, offset / 1000, duration / 1000);
+  scheduledSources.add(source);
+  source.onended = () => scheduledSources.delete(source);
+  
+  return { voice: voice, onset: startTime * 1000, duration: Math.round(duration / audioSpeedSettings.rate) };
 }
 
 
 
 // Stop all audio playback
 function stopAllAudio() {
+  // Drop numbers queued on the AudioContext or waiting for their onset
+  scheduledSources.forEach(source => {
+    try {
+      source.stop();
+    } catch (e) {
+      // Already stopped
+    }
+  });
+  scheduledSources.clear();
+  fallbackPlayTimers.forEach(timerId => clearTimeout(timerId));
+  fallbackPlayTimers.clear();
+  
   // Stop all Howler sounds
-  Object.values(numberSounds).forEach(sound => {
+  getAllNumberSounds().forEach(sound => {
     if (sound.playing()) {
       sound.stop();
     }
@@ -213,20 +788,71 @@ function stopAllAudio() {
   audioPlayInProgress = false;
 }
 
-// Beep system using pre-recorded beep.wav file
+// Beep system: the default voice's sprite segment 'beep', or the pre-recorded beep.wav file
 let beepSound = null;
-
-// Initialize beep audio system
-function initializeBeepAudio() {
-  beepSound = new Howl({
-    src: ['audio/beep.wav'],
-    preload: true,
-    html5: true, // Use HTML5 for better compatibility
-    volume: beepSettings.volume
+let beepSprite = undefined;  // 'beep' when beepSound is a sprite
+
+let beepToneContext = null;  // AudioContext for the generated tone when Howler has none
+
+// Initialize beep audio system - feedback: { src, segment, voiceSound } of a sprite, or null for beep.wav
+function initializeBeepAudio(feedback) {
+  beepSprite = feedback ? 'beep' : undefined;
+  const sound = new Howl({
+    src: [feedback ? feedback.src : 'audio/beep.wav'],
+    sprite: feedback ? { beep: feedback.segment } : undefined,
+    preload: !feedback,
+    html5: !feedback, // Use HTML5 for better compatibility
+    volume: beepSettings.volume,
+    onload: function() {
+      failedSounds.delete(beepSound);
+    },
+    onloaderror: function(id, err) {
+      failedSounds.add(beepSound);
+      console.error('Error loading beep sound, using a generated tone:', err);
+    }
   });
+  beepSound = sound;
+  
+  // A sprite shares its file with the voice pack's Howl - loading it afterwards lets Howler
+  // take the decoded buffer from its cache instead of fetching and decoding the file again
+  if (feedback) {
+    if (feedback.voiceSound) {
+      whenSoundSettled(feedback.voiceSound, () => sound.load());
+    } else {
+      sound.load();
+    }
+  }
 }
 
-// Play error beep sound using the pre-recorded beep.wav file
+// AudioContext for generated tones: Howler's, or a separate one when Howler has none
+function getToneContext() {
+  const audioContext = getWebAudioContext();
+  if (audioContext) return audioContext;
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  beepToneContext = beepToneContext || new AudioContextClass();
+  return beepToneContext;
+}
+
+// Short generated tone in place of a missing or broken beep
+function playGeneratedBeep() {
+  const audioContext = getToneContext();
+  if (!audioContext) return;
+  
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  const startTime = audioContext.currentTime;
+  oscillator.type = 'sine';
+  oscillator.frequency.value = 880;
+  gain.gain.setValueAtTime(beepSettings.volume, startTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.15);
+  oscillator.connect(gain);
+  gain.connect(audioContext.destination);
+  oscillator.start(startTime);
+  oscillator.stop(startTime + 0.15);
+}
+
+// Play error beep sound (sprite segment or beep.wav)
 // This function is completely non-blocking and won't interfere with trial timing
 function playErrorBeep() {
   if (!beepSettings.enabled || beepSettings.volume <= 0) {
@@ -241,7 +867,10 @@ function playErrorBeep() {
         beepSound.volume(beepSettings.volume);
         
         // Play the beep
-        beepSound.play();
+        beepSound.play(beepSprite);
+      } else if (failedSounds.has(beepSound) || beepSprite) {
+        // No beep.wav to fall back to when the beep lives in a sprite
+        playGeneratedBeep();
       } else {
         // Fallback to HTML5 Audio if Howler fails
         const beepAudio = new Audio('audio/beep.wav');
@@ -271,57 +900,847 @@ function playErrorBeep() {
 
 
 
-// UI Elements - will be initialized in DOMContentLoaded
-let descriptionScreen, trainingScreen, resultsScreen;
-let startTraining, endTraining, startNewTraining;
-let standardMode, customMode, modeDescription, customModeControls;
-let durationSlider, durationValue;
-let statusMessage, answerInput, currentISI, timerCircle, minutesLeft, secondsLeft;
-let correctCount, totalCount, accuracyRate, minISI, historyContainer;
-let useNumberPadToggle, numberpad, numberpadButtons;
-// audioStatus is now declared at the top and initialized in initializeHowlerAudio
-
-// Global variables for UI elements
-
-// DOM validation will be moved to DOMContentLoaded
-
-const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
-
-// Helper function to check if button clicks can be processed
-function canProcessButtonClick() {
-  if (processingAnswer) {
-    return false;
-  }
-  if (correctAnswer === null) {
-    return false;
-  }
-  if (audioPlayInProgress) {
-    return false;
+// ==========================================
+// Visual presentation (PVSAT): digits are shown on screen instead of spoken.
+// The engine, staircase and scoring are the same - only present() differs.
+const VISUAL_JITTER = { x: 0.3, y: 0.2 }; // Largest shift, as a share of the stimulus area
+let visualDigitTimers = new Set(); // Timers waiting for a digit's onset
+let visualHideTimerId = null;      // Hides the digit after the display duration
+
+// Show a number at onsetTime (session clock ms) for the configured duration
+function showNumber(number, trial, voice, onsetTime) {
+  if (!isSessionActive()) {
+    return Promise.resolve();
   }
-  if (answerProcessed) {
-    return false;
+  return new Promise(resolve => {
+    const timerId = setTimeout(() => {
+      visualDigitTimers.delete(timerId);
+      resolve();
+    }, Math.max(0, onsetTime - sessionEngine.now()));
+    visualDigitTimers.add(timerId);
+  }).then(() => {
+    if (!isSessionActive() || sessionEngine.state.paused) {
+      return null;
+    }
+    displayVisualDigit(number);
+    return { onset: sessionEngine.now() };
+  });
+}
+
+function displayVisualDigit(number) {
+  const visualStimulus = document.getElementById('visualStimulus');
+  const visualDigit = document.getElementById('visualDigit');
+  if (!visualStimulus || !visualDigit) return;
+  
+  let x = 0;
+  let y = 0;
+  if (presentationSettings.positionJitter) {
+    x = Math.round((Math.random() * 2 - 1) * visualStimulus.clientWidth * VISUAL_JITTER.x);
+    y = Math.round((Math.random() * 2 - 1) * visualStimulus.clientHeight * VISUAL_JITTER.y);
   }
-  // All conditions passed
-  return true;
+  visualDigit.textContent = number;
+  visualDigit.style.fontSize = `${presentationSettings.fontSize}rem`;
+  visualDigit.style.transform = `translate(${x}px, ${y}px)`;
+  visualDigit.style.visibility = 'visible';
+  
+  // The next digit replaces this one even if the duration is longer than the interval
+  clearTimeout(visualHideTimerId);
+  visualHideTimerId = setTimeout(() => {
+    visualHideTimerId = null;
+    visualDigit.style.visibility = 'hidden';
+  }, presentationSettings.displayDuration);
 }
 
-// Helper function to check if a specific answer is correct and can be processed immediately
-function canProcessAnswerImmediately(userAnswer) {
-  if (!canProcessButtonClick()) {
-    return false;
+// Hide the digit and drop pending show/hide timers
+function clearVisualDigit() {
+  visualDigitTimers.forEach(timerId => clearTimeout(timerId));
+  visualDigitTimers.clear();
+  clearTimeout(visualHideTimerId);
+  visualHideTimerId = null;
+  const visualDigit = document.getElementById('visualDigit');
+  if (visualDigit) {
+    visualDigit.textContent = '';
+    visualDigit.style.visibility = 'hidden';
   }
-  
-  // Only process immediately if the answer is correct
-  return userAnswer === correctAnswer;
 }
 
-// Helper function to check if we should process an answer immediately (for numberpad)
-function shouldProcessAnswerImmediately(userAnswer) {
-  // For numberpad, only process immediately if correct
+// ==========================================
+// Background noise: continuous audio under the digits at a set signal-to-noise ratio.
+// It is mixed on Howler's AudioContext, so it needs Web Audio.
+const NOISE_TYPES = {
+  white: 'White noise',
+  pink: 'Pink noise',
+  babble: 'Multi-talker babble',
+  file: 'Your audio file'
+};
+const NOISE_SNR_LIMITS = { min: -10, max: 20 }; // dB
+const NOISE_LOOP_SECONDS = 10;  // Generated noise and babble loop every 10 seconds
+const BABBLE_TALKERS = 6;
+const DEFAULT_SPEECH_RMS = 0.1; // Digit level when no decoded recording can be measured
+let noiseFileBlob = null;       // The user's noise file (from IndexedDB)
+let noiseFileBuffer = null;     // ...decoded
+let noisePlayback = null;       // { source, gain } while the noise plays
+let sessionNoise = null;        // { type, snr } of the current session, stored with its record
+
+// Mean energy of each frame of a sound (or of samples from-to), all channels together
+function measureFrameEnergies(buffer, frameSeconds, from = 0, to = buffer.length) {
+  const frameLength = Math.max(1, Math.round(buffer.sampleRate * frameSeconds));
+  const channels = [];
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    channels.push(buffer.getChannelData(channel));
+  }
+  
+  const energies = [];
+  for (let start = from; start < to; start += frameLength) {
+    const end = Math.min(start + frameLength, to);
+    let sum = 0;
+    channels.forEach(data => {
+      for (let i = start; i < end; i++) {
+        sum += data[i] * data[i];
+      }
+    });
+    energies.push(sum / ((end - start) * channels.length));
+  }
+  return energies;
+}
+
+// Samples [from, to) of segment [offset, duration] (ms) of a buffer
+function getSampleRange(buffer, [offset, duration]) {
+  const from = Math.min(buffer.length, Math.round(offset * buffer.sampleRate / 1000));
+  const to = Math.min(buffer.length, Math.round((offset + duration) * buffer.sampleRate / 1000));
+  return [from, to];
+}
+
+// RMS of the active part of a sound (20 ms frames within 30 dB of the loudest),
+// so the silence around a digit doesn't lower its measured level
+// segment [offset, duration] (ms) measures only that part, e.g. one digit of a sprite
+function measureActiveRms(buffer, segment = null) {
+  const [from, to] = segment ? getSampleRange(buffer, segment) : [0, buffer.length];
+  const energies = measureFrameEnergies(buffer, 0.02, from, to);
+  const loudest = energies.reduce((max, energy) => Math.max(max, energy), 0);
+  if (loudest === 0) return 0;
+  const active = energies.filter(energy => energy >= loudest * 0.001);
+  return Math.sqrt(active.reduce((sum, energy) => sum + energy, 0) / active.length);
+}
+
+// Where the speech in segment [offset, duration] of a recording starts and ends (ms in the file):
+// the first and last 10 ms frames within 30 dB of the loudest
+function measureSpeechBounds(buffer, segment) {
+  const frameMs = 10;
+  const [segmentStart, segmentDuration] = segment;
+  const segmentEnd = segmentStart + segmentDuration;
+  const [from, to] = getSampleRange(buffer, segment);
+  const energies = measureFrameEnergies(buffer, frameMs / 1000, from, to);
+  const loudest = energies.reduce((max, energy) => Math.max(max, energy), 0);
+  if (loudest === 0) return { start: segmentStart, end: segmentEnd };
+  
+  const isSpeech = energy => energy >= loudest * 0.001;
+  const first = energies.findIndex(isSpeech);
+  let last = energies.length - 1;
+  while (last > first && !isSpeech(energies[last])) last--;
+  return {
+    start: segmentStart + first * frameMs,
+    end: Math.min(segmentEnd, segmentStart + (last + 1) * frameMs)
+  };
+}
+
+// Average level of the digits the session's voices will speak
+function measureSpeechRms(voices) {
+  const levels = [];
+  voices.forEach(voiceId => {
+    for (let number = 1; number <= 9; number++) {
+      const found = findVoiceAsset(numberBuffers, number, voiceId);
+      if (found) levels.push(measureActiveRms(found.asset, getDigitSprite(number, found.voice)));
+    }
+  });
+  const measured = levels.filter(level => level > 0);
+  return measured.length > 0 ? measured.reduce((sum, level) => sum + level, 0) / measured.length : DEFAULT_SPEECH_RMS;
+}
+
+// White or pink noise (Paul Kellet's pink filter)
+function createGeneratedNoise(audioContext, type) {
+  const length = audioContext.sampleRate * NOISE_LOOP_SECONDS;
+  const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+  const data = buffer.getChannelData(0);
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  
+  for (let i = 0; i < length; i++) {
+    const white = Math.random() * 2 - 1;
+    if (type === 'white') {
+      data[i] = white;
+      continue;
+    }
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.96900 * b2 + white * 0.1538520;
+    b3 = 0.86650 * b3 + white * 0.3104856;
+    b4 = 0.55000 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.0168980;
+    data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+    b6 = white * 0.115926;
+  }
+  return buffer;
+}
+
+// Several talkers saying random digits from the bundled voices, overlapping
+function createBabbleNoise(audioContext) {
+  // Each digit's speech: its samples within the (possibly shared) decoded file
+  const recordings = [];
+  Object.keys(numberBuffers)
+    .filter(voiceId => voiceId !== CUSTOM_VOICE_ID)
+    .forEach(voiceId => {
+      Object.keys(numberBuffers[voiceId]).forEach(digit => {
+        const recording = numberBuffers[voiceId][digit];
+        const [from, to] = getSampleRange(recording, digitSprites[voiceId][digit]);
+        recordings.push(recording.getChannelData(0).subarray(from, to));
+      });
+    });
+  if (recordings.length === 0) return null;
+  
+  const sampleRate = audioContext.sampleRate;
+  const length = sampleRate * NOISE_LOOP_SECONDS;
+  const buffer = audioContext.createBuffer(1, length, sampleRate);
+  const data = buffer.getChannelData(0);
+  
+  for (let talker = 0; talker < BABBLE_TALKERS; talker++) {
+    let position = Math.floor(Math.random() * sampleRate); // Talkers start at different times
+    while (position < length) {
+      const samples = recordings[Math.floor(Math.random() * recordings.length)];
+      // Wrap around the end so the loop has no seam
+      for (let i = 0; i < samples.length; i++) {
+        data[(position + i) % length] += samples[i];
+      }
+      position += samples.length + Math.floor(Math.random() * 0.15 * sampleRate);
+    }
+  }
+  return buffer;
+}
+
+// Noise audio for a type (null when it isn't available)
+async function getNoiseBuffer(audioContext, type) {
+  if (type === 'white' || type === 'pink') {
+    return createGeneratedNoise(audioContext, type);
+  }
+  if (type === 'babble') {
+    return createBabbleNoise(audioContext);
+  }
+  if (type === 'file' && noiseFileBlob) {
+    if (!noiseFileBuffer) {
+      const data = await noiseFileBlob.arrayBuffer();
+      noiseFileBuffer = await audioContext.decodeAudioData(data);
+    }
+    return noiseFileBuffer;
+  }
+  return null;
+}
+
+// e.g. "Pink noise, 5 dB SNR"
+function getNoiseLabel(noise) {
+  return `${NOISE_TYPES[noise.type] || noise.type}, ${noise.snr} dB SNR`;
+}
+
+// Start the noise for the running session (again after a pause)
+async function startBackgroundNoise() {
+  stopBackgroundNoise();
+  const audioContext = sessionAudioContext;
+  if (noiseSettings.type === 'off' || !audioContext) return;
+  
+  let buffer;
+  try {
+    buffer = await getNoiseBuffer(audioContext, noiseSettings.type);
+  } catch (error) {
+    console.error('Error preparing background noise:', error);
+    return;
+  }
+  // The session may have ended or paused while the noise was prepared
+  if (!buffer || !isSessionActive() || sessionEngine.state.paused || noisePlayback) return;
+  
+  const noiseRms = measureActiveRms(buffer);
+  if (noiseRms === 0) return;
+  const speechRms = measureSpeechRms(getSessionVoices() || [defaultVoiceId]);
+  
+  // SNR (dB) = 20 * log10(speech RMS / noise RMS)
+  const gain = audioContext.createGain();
+  gain.gain.value = speechRms / (noiseRms * Math.pow(10, noiseSettings.snr / 20));
+  const source = audioContext.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  source.connect(gain);
+  gain.connect(Howler.masterGain);
+  source.start();
+  
+  noisePlayback = { source: source, gain: gain };
+  sessionNoise = {
+    type: noiseSettings.type,
+    snr: noiseSettings.snr,
+    file: noiseSettings.type === 'file' ? noiseFileBlob.name || null : undefined
+  };
+}
+
+function stopBackgroundNoise() {
+  if (!noisePlayback) return;
+  try {
+    noisePlayback.source.stop();
+  } catch (e) {
+    // Already stopped
+  }
+  noisePlayback.gain.disconnect();
+  noisePlayback = null;
+}
+
+// Load the stored noise file, if any
+async function loadBackgroundNoiseFile() {
+  try {
+    noiseFileBlob = await loadNoiseFile();
+  } catch (error) {
+    console.error('Error loading background noise file:', error);
+  }
+  noiseFileBuffer = null;
+  updateNoiseUI();
+}
+
+// Store a new noise file chosen by the user
+async function importNoiseFile(file) {
+  if (!file) return;
+  try {
+    await saveNoiseFile(file);
+  } catch (error) {
+    console.error('Error saving background noise file:', error);
+  }
+  noiseFileBlob = file;
+  noiseFileBuffer = null;
+  updateNoiseUI();
+}
+
+// ==========================================
+// Output latency calibration: clicks play at a steady beat and the user taps along.
+// The taps land late by the delay between the audio clock and the ear (Bluetooth
+// headphones add 150-300 ms); sessions take that delay off every response time.
+const CALIBRATION_CLICKS = 16;
+const CALIBRATION_WARMUP = 4;      // The first clicks are for finding the beat and are not scored
+const CALIBRATION_INTERVAL = 750;  // ms between clicks
+const CALIBRATION_MIN_TAPS = 8;    // Scored clicks that need a tap for a usable estimate
+const CALIBRATION_TAP_WINDOW = { early: 250, late: 500 }; // A tap belongs to a click this far around it (ms)
+let calibration = null; // { audioContext, clicks, taps, oscillators, endTimerId } while calibrating
+
+// Queue one click on the audio timeline (time in seconds)
+function scheduleCalibrationClick(audioContext, time) {
+  const oscillator = audioContext.createOscillator();
+  const gain = audioContext.createGain();
+  oscillator.type = 'sine';
+  oscillator.frequency.value = 1000;
+  gain.gain.setValueAtTime(0.5, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + 0.04);
+  oscillator.connect(gain);
+  gain.connect(audioContext.destination);
+  oscillator.start(time);
+  oscillator.stop(time + 0.04);
+  return oscillator;
+}
+
+// Median delay of the taps behind their clicks (ms), or null with too few taps on the beat
+function estimateOutputLatency(clicks, taps) {
+  const offsets = [];
+  clicks.slice(CALIBRATION_WARMUP).forEach(click => {
+    const tap = taps.find(time => time - click >= -CALIBRATION_TAP_WINDOW.early && time - click <= CALIBRATION_TAP_WINDOW.late);
+    if (tap !== undefined) {
+      offsets.push(tap - click);
+    }
+  });
+  if (offsets.length < CALIBRATION_MIN_TAPS) {
+    return null;
+  }
+  offsets.sort((a, b) => a - b);
+  const middle = Math.floor(offsets.length / 2);
+  const median = offsets.length % 2 ? offsets[middle] : (offsets[middle - 1] + offsets[middle]) / 2;
+  return normalizeOutputLatency(median);
+}
+
+// Play the clicks and collect taps for the active profile
+function startLatencyCalibration() {
+  if (calibration) return;
+  const audioContext = getToneContext();
+  if (!audioContext) {
+    setLatencyStatus('This browser cannot play the calibration clicks.');
+    return;
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume(); // Inside the click that started the calibration
+  }
+  
+  // Taps are timed on the same clock the session scores responses with
+  const firstClick = audioContext.currentTime + 1;
+  const clicks = [];
+  const oscillators = [];
+  for (let i = 0; i < CALIBRATION_CLICKS; i++) {
+    const time = firstClick + i * CALIBRATION_INTERVAL / 1000;
+    oscillators.push(scheduleCalibrationClick(audioContext, time));
+    clicks.push(time * 1000);
+  }
+  const duration = clicks[clicks.length - 1] - audioContext.currentTime * 1000 + CALIBRATION_TAP_WINDOW.late;
+  calibration = {
+    audioContext: audioContext,
+    clicks: clicks,
+    taps: [],
+    oscillators: oscillators,
+    endTimerId: setTimeout(() => finishLatencyCalibration(false), duration)
+  };
+  setLatencyStatus('Tap along with the clicks.');
+  updateLatencyUI();
+}
+
+// One tap on the button (or the space bar)
+function recordCalibrationTap() {
+  if (!calibration) return;
+  calibration.taps.push(calibration.audioContext.currentTime * 1000);
+  const calibrationProgress = document.getElementById('calibrationProgress');
+  if (calibrationProgress) {
+    calibrationProgress.textContent = `${calibration.taps.length} taps`;
+  }
+}
+
+// Stop the clicks; unless cancelled, store the estimate on the active profile
+function finishLatencyCalibration(cancelled) {
+  if (!calibration) return;
+  clearTimeout(calibration.endTimerId);
+  calibration.oscillators.forEach(oscillator => {
+    try {
+      oscillator.stop();
+    } catch (error) {
+      // Already finished
+    }
+  });
+  const latency = cancelled ? null : estimateOutputLatency(calibration.clicks, calibration.taps);
+  calibration = null;
+  
+  if (cancelled) {
+    setLatencyStatus('');
+  } else if (latency === null) {
+    setLatencyStatus('Not enough taps in time with the clicks - please try again.');
+  } else {
+    const profile = getActiveLatencyProfile();
+    profile.latency = latency;
+    profile.calibratedAt = new Date().toISOString();
+    saveLatencySettings();
+    setLatencyStatus(`Estimated output latency: ${latency} ms`);
+  }
+  updateLatencyUI();
+}
+
+function setLatencyStatus(message) {
+  const latencyStatus = document.getElementById('latencyStatus');
+  if (latencyStatus) {
+    latencyStatus.textContent = message;
+  }
+}
+
+// ==========================================
+// Audio preflight: before a session, load and silently test-play every digit the session
+// can present and the feedback beep, and report what failed and what will replace it.
+const PREFLIGHT_LOAD_TIMEOUT = 5000;
+const PREFLIGHT_PLAY_TIMEOUT = 1500;
+let audioSetupPromise = null;   // initializeHowlerAudio() - the voice list is known once it settles
+let preflightCheckedFor = null; // Key of the last check the user went on from
+
+// What a check covers - a new check runs when the voices or the beep setting change
+function getPreflightKey() {
+  return JSON.stringify([getSessionVoices(), beepSettings.enabled]);
+}
+
+// Resolves true once the sound is loaded, false when it failed or took too long
+function waitForSoundLoad(sound) {
+  return new Promise(resolve => {
+    if (failedSounds.has(sound)) {
+      resolve(false);
+      return;
+    }
+    if (sound.state() === 'loaded') {
+      resolve(true);
+      return;
+    }
+    const timeoutId = setTimeout(() => resolve(false), PREFLIGHT_LOAD_TIMEOUT);
+    sound.once('load', () => {
+      clearTimeout(timeoutId);
+      resolve(true);
+    });
+    sound.once('loaderror', () => {
+      clearTimeout(timeoutId);
+      resolve(false);
+    });
+  });
+}
+
+// Play a sound (or one sprite segment of it) muted - resolves true when playback actually started
+// Only the test's own sound id is muted, so parallel checks on one sprite Howl don't interfere
+function testPlaySound(sound, sprite) {
+  return new Promise(resolve => {
+    let soundId = null;
+    let hasResolved = false;
+    function finish(played) {
+      if (hasResolved) return;
+      hasResolved = true;
+      clearTimeout(timeoutId);
+      if (soundId !== null) sound.stop(soundId);
+      resolve(played);
+    }
+    const timeoutId = setTimeout(() => finish(false), PREFLIGHT_PLAY_TIMEOUT);
+    
+    try {
+      soundId = sound.play(sprite);
+      if (soundId !== null && soundId !== undefined) {
+        sound.volume(0, soundId);
+      }
+    } catch (e) {
+      soundId = null;
+    }
+    if (soundId === null || soundId === undefined) {
+      soundId = null;
+      finish(false);
+      return;
+    }
+    sound.once('play', () => finish(true), soundId);
+    sound.once('playerror', () => finish(false), soundId);
+  });
+}
+
+// Find a recording of the number that loads and plays; broken ones are skipped from now on.
+// Resolves with the voice that will speak it, or null
+async function checkNumberSound(number, voiceId) {
+  let found;
+  while ((found = getNumberSound(number, voiceId))) {
+    if (await waitForSoundLoad(found.sound) && await testPlaySound(found.sound, found.sprite)) {
+      return found.voice;
+    }
+    failedSounds.add(found.sound);
+  }
+  return null;
+}
+
+// Check the next session's voices and the beep - resolves with a list of problems
+async function runAudioPreflight() {
+  if (audioSetupPromise) {
+    await audioSetupPromise;
+  }
+  
+  const voices = getSessionVoices() || [defaultVoiceId];
+  const speechAvailable = isSpeechSynthesisAvailable();
+  const getLabel = voiceId => voicePacks[voiceId] ? voicePacks[voiceId].label : voiceId;
+  const problems = [];
+  
+  const checks = [];
+  voices.forEach(voiceId => {
+    for (let number = 1; number <= 9; number++) {
+      checks.push(checkNumberSound(number, voiceId).then(spokenBy => {
+        const ownDigit = voicePacks[voiceId] && voicePacks[voiceId].digits.includes(number);
+        if (spokenBy === null) {
+          problems.push({
+            voice: voiceId,
+            number: number,
+            severity: speechAvailable ? 'warning' : 'error',
+            message: `${getLabel(voiceId)} ${number}: could not be played - ${speechAvailable ? 'speech synthesis will say it' : 'it will be silent'}`
+          });
+        } else if (ownDigit && spokenBy !== voiceId) {
+          // Digits a pack doesn't have are meant to come from its fallback; only report broken files
+          problems.push({
+            voice: voiceId,
+            number: number,
+            severity: 'warning',
+            message: `${getLabel(voiceId)} ${number}: could not be played - ${getLabel(spokenBy)} will say it`
+          });
+        }
+      }));
+    }
+  });
+  
+  if (beepSound && beepSettings.enabled) {
+    checks.push(waitForSoundLoad(beepSound).then(loaded => loaded && testPlaySound(beepSound, beepSprite)).then(played => {
+      if (!played) {
+        failedSounds.add(beepSound);
+        problems.push({
+          voice: null,
+          number: null,
+          severity: 'warning',
+          message: 'Error beep: could not be played - a generated tone is used'
+        });
+      }
+    }));
+  }
+  
+  await Promise.all(checks);
+  problems.sort((a, b) => String(a.voice).localeCompare(String(b.voice)) || (a.number || 0) - (b.number || 0));
+  return problems;
+}
+
+// List the problems on the preflight screen
+function renderPreflightResults(problems) {
+  const preflightResults = document.getElementById('preflightResults');
+  if (!preflightResults) return;
+  
+  preflightResults.innerHTML = '';
+  problems.forEach(problem => {
+    const item = document.createElement('li');
+    item.className = `preflight-item ${problem.severity}`;
+    item.textContent = problem.message;
+    preflightResults.appendChild(item);
+  });
+}
+
+function setPreflightStatus(message) {
+  const preflightStatus = document.getElementById('preflightStatus');
+  if (preflightStatus) preflightStatus.textContent = message;
+}
+
+// Start button: check the audio first, then start the session.
+// Once the same setup was checked, the session starts right away.
+async function startSessionWithPreflight() {
+  // Visual sessions don't play audio
+  if (presentationSettings.modality === 'visual') {
+    startSession();
+    return;
+  }
+  
+
+  // Unlock audio inside the click, before anything is awaited
+  const audioContext = getWebAudioContext();
+  if (audioContext && audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+  
+  if (preflightCheckedFor === getPreflightKey()) {
+    startSession();
+    return;
+  }
+  
+  const preflightScreen = document.getElementById('preflightScreen');
+  const preflightActions = document.getElementById('preflightActions');
+  descriptionScreen.style.display = 'none';
+  resultsScreen.style.display = 'none';
+  preflightScreen.style.display = 'block';
+  preflightActions.style.display = 'none';
+  renderPreflightResults([]);
+  setPreflightStatus('Checking audio...');
+  
+  const problems = await runAudioPreflight();
+  
+  // The user may have gone back while the check was running
+  if (preflightScreen.style.display === 'none') return;
+  
+  if (problems.length === 0) {
+    preflightCheckedFor = getPreflightKey();
+    startSession();
+    return;
+  }
+  
+  const hasErrors = problems.some(problem => problem.severity === 'error');
+  setPreflightStatus(hasErrors
+    ? 'Some digits can\'t be played and no speech synthesis is available in this browser.'
+    : 'Some sounds could not be played. Training still works with the replacements below.');
+  renderPreflightResults(problems);
+  preflightActions.style.display = 'flex';
+}
+
+// UI Elements - will be initialized in DOMContentLoaded
+let descriptionScreen, trainingScreen, resultsScreen;
+let startTraining, endTraining, startNewTraining;
+let standardMode, customMode, modeDescription, customModeControls;
+let durationSlider, durationValue;
+let statusMessage, answerInput, currentISI, timerCircle, minutesLeft, secondsLeft;
+let correctCount, totalCount, accuracyRate, minISI, historyContainer;
+let useNumberPadToggle, numberpad, numberpadButtons;
+// audioStatus is now declared at the top and initialized in initializeHowlerAudio
+
+// Global variables for UI elements
+
+// DOM validation will be moved to DOMContentLoaded
+
+const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+// Helper function to check if button clicks can be processed
+function canProcessButtonClick() {
+  if (!isSessionActive()) {
+    return false;
+  }
+  const state = sessionEngine.state;
+  if (state.paused) {
+    return false;
+  }
+  if (state.processingAnswer) {
+    return false;
+  }
+  if (state.correctAnswer === null) {
+    return false;
+  }
+  if (audioPlayInProgress) {
+    return false;
+  }
+  if (state.answerProcessed) {
+    return false;
+  }
+  // All conditions passed
+  return true;
+}
+
+// Helper function to check if a specific answer is correct and can be processed immediately
+function canProcessAnswerImmediately(userAnswer) {
+  if (!canProcessButtonClick()) {
+    return false;
+  }
+  
+  // Only process immediately if the answer is correct
+  return userAnswer === sessionEngine.state.correctAnswer;
+}
+
+// Helper function to check if we should process an answer immediately (for numberpad)
+function shouldProcessAnswerImmediately(userAnswer) {
+  // For numberpad, only process immediately if correct
   // For text input, this is handled separately in the input handlers
   return canProcessAnswerImmediately(userAnswer);
 }
 
+// Register button handlers
+function handleButtonInteraction(e) {
+  e.preventDefault();
+  const button = e.currentTarget;
+  if (button.hasAttribute('data-key')) {
+    pressComposeKey(button.getAttribute('data-key'));
+  } else {
+    selectNumberpadAnswer(parseInt(button.getAttribute('data-value')));
+  }
+}
+
+// Answer a value on the numberpad (a button, a completed digit-key entry or an answer key)
+function selectNumberpadAnswer(value) {
+  // [새로 추가] 전환멈춤 구간 체크
+  if (isSessionActive() && sessionEngine.now() < sessionEngine.state.inputBlockedUntil) {
+    sessionEngine.recordInput('blocked', value);
+    clearNumberpadSelection();
+    return;
+  }
+
+  // 클릭 가능 상태인지 확인
+  if (!canProcessButtonClick()) {
+    clearNumberpadSelection();
+    return;
+  }
+
+  // 걸러지는 입력도 시도 기록에는 남김
+  recordAnswerAttempt(value, 'numberpad');
+
+  // [중요] 엄격 모드거나 늦은 답변이면 여기서 멈춤
+  if (shouldIgnoreInput(value)) {
+    clearNumberpadSelection();
+    return;
+  }
+
+  // 기존 선택 해제 및 현재 값 선택
+  clearNumberpadSelection();
+  const selection = markNumberpadSelection(value);
+
+  // 정답이면 즉시 처리
+  if (shouldProcessAnswerImmediately(value)) {
+    const success = sessionEngine.submitAnswer(value);
+
+    if (!success) {
+      clearNumberpadSelection();
+    }
+  } else if (selection) {
+    // 오답이면 빨간색 표시만 하고 대기
+    selection.classList.add('incorrect-selection');
+    setTimeout(() => {
+      selection.classList.remove('incorrect-selection');
+    }, 300);
+  }
+}
+
+// Connect a numberpad button to the answer handler
+function bindNumberpadButton(button) {
+  button.addEventListener('mousedown', handleButtonInteraction);
+  button.addEventListener('touchstart', handleButtonInteraction, {passive: false});
+  // Enter/Space on a focused button (pointer presses were already handled on mousedown/touchstart)
+  button.addEventListener('click', function(e) {
+    if (e.detail === 0) handleButtonInteraction(e);
+  });
+}
+
+// Arrow keys move the focus between numberpad buttons
+function moveNumberpadFocus(e) {
+  const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -getNumberpadColumns(), ArrowDown: getNumberpadColumns() };
+  const step = steps[e.key];
+  if (!step || !e.target.classList.contains('numberpad-button')) return;
+  e.preventDefault();
+  
+  // One slot per grid cell - the digit-key readout fills a whole row
+  const cells = [];
+  Array.from(numberpad.children).forEach(cell => {
+    const span = cell.classList.contains('numberpad-readout') ? getNumberpadColumns() : 1;
+    for (let i = 0; i < span; i++) cells.push(cell);
+  });
+  let index = cells.indexOf(e.target) + step;
+  while (index >= 0 && index < cells.length && !cells[index].classList.contains('numberpad-button')) {
+    index += step;
+  }
+  if (index >= 0 && index < cells.length) cells[index].focus();
+}
+
+// Let a clickable non-button element be focused and activated with Enter or Space
+function makeKeyboardOperable(element) {
+  element.setAttribute('tabindex', '0');
+  element.setAttribute('role', 'button');
+  element.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      element.click();
+    }
+  });
+}
+
+// Show a value as the pending answer - returns the element that shows it
+function markNumberpadSelection(value) {
+  if (numberpadSettings.layout === 'compose') {
+    numberpadComposition.selected = value;
+    return updateComposeReadout();
+  }
+  const button = numberpad.querySelector(`.numberpad-button[data-value="${value}"]`);
+  if (button) button.classList.add('selected');
+  return button;
+}
+
+// Drop the pending answer (and any digits typed on the digit keys)
+function clearNumberpadSelection() {
+  numberpadButtons.forEach(btn => btn.classList.remove('selected'));
+  numberpadComposition = { digits: '', negative: false, selected: null };
+  updateComposeReadout();
+}
+
+// A bound answer key was pressed - one keystroke per answer, checked like a numberpad press
+function handleAnswerKey(value) {
+  if (useNumberPad) {
+    selectNumberpadAnswer(value);
+    return;
+  }
+  
+  if (isSessionActive() && sessionEngine.now() < sessionEngine.state.inputBlockedUntil) {
+    sessionEngine.recordInput('blocked', value);
+    return;
+  }
+  if (!canProcessButtonClick()) return;
+  recordAnswerAttempt(value, 'key');
+  if (shouldIgnoreInput(value)) return;
+  
+  // One keystroke is a whole answer: with strict input a wrong one - even the first digit of the answer - is cleared
+  // like a wrong typed answer, so typing the next digit can't complete it
+  if (inputPolicySettings.strictInput && value !== sessionEngine.state.correctAnswer) {
+    answerInput.value = '';
+    return;
+  }
+  
+  // The key's answer replaces whatever was typed; a wrong one stays until the timeout scores it
+  answerInput.value = String(value);
+  if (shouldProcessAnswerImmediately(value) && sessionEngine.submitAnswer(value)) {
+    answerInput.value = '';
+  }
+}
+
   // Mode switching
   let isStandardMode = true;
   let isCustomMode = false;
@@ -349,6 +1768,8 @@ function shouldProcessAnswerImmediately(userAnswer) {
 // Update consecutive counter display
 function updateConsecutiveCounter() {
   const dots = document.querySelectorAll('.counter-dot');
+  const consecutiveCorrect = sessionEngine ? sessionEngine.state.consecutiveCorrect : 0;
+  const consecutiveIncorrect = sessionEngine ? sessionEngine.state.consecutiveIncorrect : 0;
   
   // Reset all dots
   dots.forEach(dot => {
@@ -356,6 +1777,14 @@ function updateConsecutiveCounter() {
     dot.classList.remove('incorrect');
   });
   
+  // Screen readers get the streak in words, sighted users also by the dot shape
+  const counter = document.querySelector('.counter-dots');
+  if (counter) {
+    counter.setAttribute('aria-label', consecutiveCorrect > 0
+      ? `${consecutiveCorrect} correct in a row`
+      : consecutiveIncorrect > 0 ? `${consecutiveIncorrect} incorrect in a row` : 'No streak');
+  }
+  
   // Update based on consecutive correct or incorrect
   if (consecutiveCorrect > 0) {
     for (let i = 0; i < Math.min(consecutiveCorrect, 4); i++) {
@@ -368,500 +1797,188 @@ function updateConsecutiveCounter() {
   }
 }
 
-// Generate a random number between 1-9
-
-
-// [수정된 함수] 스마트 패턴 확률형 숫자 생성기
-// 패턴이 감지되면 '무조건 차단'하지 않고, '주사위를 굴려서' 통과 여부를 결정합니다.
-function generateNumber() {
-  // ==========================================
-  // [확률 설정] 0.0 ~ 1.0 사이 (0.1은 10%, 1.0은 100% 허용)
-  // 원래 랜덤 확률(1/9)보다 더 낮게 설정하여 "가끔" 나오게 만듭니다.
-  
-  const ALLOW_AA_PROBABILITY = 0.05;   // 연속 숫자(5->5)가 나올 확률을 15%만 허용
-  const ALLOW_ABA_PROBABILITY = 0.10;  // 샌드위치(3->8->3)가 나올 확률을 30%만 허용
-  // ==========================================
-
-  let candidate;
-  let attempts = 0;
-  const maxAttempts = 20; // 무한 루프 방지용 안전장치
-
-  while (attempts < maxAttempts) {
-    // 1부터 9까지 랜덤 생성
-    candidate = Math.floor(Math.random() * 9) + 1;
-    
-    let reject = false;
-    // numberSequence는 전역 변수로 선언되어 있어 접근 가능합니다.
-    const len = numberSequence.length;
-
-    // 1. A-A 패턴 검사 (직전 숫자와 같을 경우)
-    if (len > 0 && candidate === numberSequence[len - 1]) {
-      // 설정된 확률보다 랜덤값이 크면 -> 거절(reject)하고 다시 뽑기
-      if (Math.random() > ALLOW_AA_PROBABILITY) {
-        reject = true;
-      }
-    }
-
-    // 2. A-B-A 패턴 검사 (전전 숫자와 같을 경우)
-    // (단, 이미 A-A에서 거절당했으면 검사할 필요 없음)
-    if (!reject && len > 1 && candidate === numberSequence[len - 2]) {
-      // 설정된 확률보다 랜덤값이 크면 -> 거절(reject)하고 다시 뽑기
-      if (Math.random() > ALLOW_ABA_PROBABILITY) {
-        reject = true;
-      }
-    }
-
-    // 거절되지 않았다면 이 숫자를 확정!
-    if (!reject) {
-      return candidate;
+// Read the answer the user has entered but not yet submitted (used when a trial times out)
+function readPendingAnswer() {
+  if (useNumberPad) {
+    if (numberpadSettings.layout === 'compose') {
+      return numberpadComposition.selected;
     }
-
-    // 거절되었다면 카운트 올리고 다시 while문 처음으로 돌아가서 재추첨
-    attempts++;
-  }
-
-  // 만약 20번을 다시 뽑아도 계속 패턴이 걸리면(정말 운이 나쁜 경우), 그냥 마지막 뽑은 숫자를 사용
-  return candidate;
-}
-
-// Calculate correct answer based on N-back value
-function calculateNbackAnswer(currentNum, sequence, nback) {
-  if (sequence.length < nback) {
-    return null; // Not enough numbers in sequence yet
+    const selectedButton = document.querySelector('.numberpad-button.selected');
+    return selectedButton ? parseInt(selectedButton.getAttribute('data-value')) : null;
   }
-  
-  const previousNum = sequence[sequence.length - nback - 1];
-  return currentNum + previousNum;
+  const inputValue = answerInput.value.trim();
+  return inputValue ? Number(inputValue) : null;
 }
 
 // Start session - simplified
 function startSession() {
   
-  // Auto-initialize audio if not tested yet (more user-friendly)
-  if (!audioInitialized) {
-    audioInitialized = true;
+  // Auto-initialize audio if not tested yet (more user-friendly)
+  if (!audioInitialized) {
+    audioInitialized = true;
+  }
+  
+  // Beep system is now HTML5-based, no initialization needed
+  
+  // Reset all audio
+  stopAllAudio();
+  
+  // Switch screens
+  descriptionScreen.style.display = 'none';
+  document.getElementById('preflightScreen').style.display = 'none';
+  trainingScreen.style.display = 'block';
+  resultsScreen.style.display = 'none';
+  
+  // Initialize session variables - comprehensive reset
+  selectedISI = Math.max(1200, selectedISI); // Ensure minimum 500ms
+  
+  // Get current N-back value
+  const nbackInput = document.getElementById('nbackValue');
+  if (nbackInput) {
+    nbackValue = Math.max(1, Math.min(10, parseInt(nbackInput.value) || 1));
+    nbackInput.value = nbackValue; // Ensure value is within bounds
+  }
+  
+  // Use the requested sequence seed, or let the engine pick a new one
+  const seedInput = document.getElementById('sequenceSeed');
+  const requestedSeed = seedInput ? parseSeed(seedInput.value) : null;
+  
+  // Constrain Sum to 9 is a custom mode option
+  const constrainSumTo9 = isCustomMode && customModeSettings.constrainSumTo9;
+  
+  // Visual sessions (PVSAT) show the digits and use no audio at all; mixed sessions do both
+  const isVisual = presentationSettings.modality === 'visual';
+  clearVisualDigit();
+  const visualStimulus = document.getElementById('visualStimulus');
+  if (visualStimulus) {
+    visualStimulus.style.display = presentationSettings.modality !== 'auditory' ? 'flex' : 'none';
+    visualStimulus.style.height = `${presentationSettings.fontSize * 2}rem`;
+  }
+  
+  // Drive the session from the audio clock so numbers can be queued at exact onsets
+  sessionAudioContext = isVisual ? null : getWebAudioContext();
+  if (sessionAudioContext && sessionAudioContext.state === 'suspended') {
+    sessionAudioContext.resume(); // Inside the click that started the session
   }
+  const audioContext = sessionAudioContext;
   
-  // Beep system is now HTML5-based, no initialization needed
+  // Create the session engine - this screen is just one of its subscribers
+  if (sessionEngine) {
+    sessionEngine.dispose();
+  }
+  sessionEngine = createSessionEngine({
+    startISI: selectedISI,
+    sessionDuration: sessionDuration,
+    nbackValue: nbackValue,
+    adaptive: !isManualMode, // In manual mode, keep ISI constant
+    inputBlockDuration: inputPolicySettings.inputBlockDuration,
+    seed: requestedSeed,
+    sequenceRules: sequenceRulesSettings,
+    constrainSumTo9: constrainSumTo9,
+    staircase: isCustomMode ? customModeSettings.staircase : null, // Standard mode keeps the defaults
+    adaptiveAlgorithm: isCustomMode ? customModeSettings.adaptiveAlgorithm : 'run',
+    targetAccuracy: customModeSettings.targetAccuracy,
+    voices: isVisual ? null : getSessionVoices(),
+    spatial: isVisual ? null : spatialSettings,
+    outputLatency: isVisual ? 0 : getActiveLatencyProfile().latency || 0,
+    modality: presentationSettings.modality,
+    crossModalAnswer: presentationSettings.crossModalAnswer,
+    operation: operationSettings.operation,
+    offset: operationSettings.offset
+  }, {
+    clock: audioContext ? { now: () => audioContext.currentTime * 1000 } : undefined,
+    present: presentNumber,
+    getPendingAnswer: readPendingAnswer
+  });
+  sessionHistory = sessionEngine.state.sessionHistory;
   
-  // Reset all audio
-  stopAllAudio();
+  // Build the numberpad for this session's answer range
+  renderNumberpad(getNumberpadValues(sessionEngine));
   
   if (useNumberPad) {
     answerInput.style.display = 'none';
     numberpad.style.display = 'grid';
-    // Reset all number pad buttons completely
-    numberpadButtons.forEach(btn => {
-      btn.classList.remove('selected');
-      btn.classList.remove('incorrect-selection');
-    });
     // Apply current size setting
     updateNumberpadSize();
   } else {
     answerInput.style.display = 'block';
     numberpad.style.display = 'none';
     answerInput.value = '';
-    answerInput.style.borderColor = '';
     answerInput.focus();
   }
   
-  // Switch screens
-  descriptionScreen.style.display = 'none';
-  trainingScreen.style.display = 'block';
-  resultsScreen.style.display = 'none';
-  
-  // Initialize session variables - comprehensive reset
-  selectedISI = Math.max(1200, selectedISI); // Ensure minimum 500ms
-  currentISIValue = selectedISI;
-  currentISI.textContent = currentISIValue;
-  consecutiveCorrect = 0;
-  consecutiveIncorrect = 0;
-  remainingTime = sessionDuration * 60;
-  sessionHistory = [];
-  totalCorrect = 0;
-  totalAttempts = 0;
   
-  // Get current N-back value
-  const nbackInput = document.getElementById('nbackValue');
-  if (nbackInput) {
-    nbackValue = Math.max(1, Math.min(10, parseInt(nbackInput.value) || 1));
-    nbackInput.value = nbackValue; // Ensure value is within bounds
-  }
+  sessionEngine.on('trialPresented', handleTrialPresented);
+  sessionEngine.on('answerScored', handleAnswerScored);
+  sessionEngine.on('isiChanged', handleISIChanged);
+  sessionEngine.on('tick', handleTimerTick);
+  sessionEngine.on('sessionEnded', handleSessionEnded);
+  sessionEngine.on('paused', handleSessionPaused);
+  sessionEngine.on('resumed', handleSessionResumed);
   
-  // Initialize N-back sequence
-  numberSequence = [];
+  cancelResumeCountdown();
+  hidePauseOverlay();
   
-  // In manual mode, keep ISI constant; in other modes, track lowest ISI
-  if (isManualMode) {
-    lowestISI = currentISIValue; // Keep it constant
-  } else {
-    lowestISI = currentISIValue; // Allow it to change
-  }
-  currentNumber = null;
-  correctAnswer = null;
-  lastPresentedNumber = null;
-  processingAnswer = false;
-  nextPresentationTime = 0;
-  forcePresentNextNumber = false;
-  answerProcessed = false;
-  currentTrialId = 0;
-  nextNumberScheduled = false;
   audioPlayInProgress = false; // Reset audio state
-  
-  // Clear any existing timeouts
-  if (currentIntervalId) {
-    clearTimeout(currentIntervalId);
-    currentIntervalId = null;
-  }
+  currentISI.textContent = sessionEngine.state.currentISIValue;
   
   // Reset UI states
-  numberpadButtons.forEach(btn => {
-    btn.classList.remove('selected');
-    btn.classList.remove('incorrect-selection');
-  });
+  clearNumberpadSelection();
+  numberpadButtons.forEach(btn => btn.classList.remove('incorrect-selection'));
   // Reset the counter dots display
   updateConsecutiveCounter();
   
   // Update timer display
-  updateTimerDisplay();
+  updateTimerDisplay(sessionEngine.state.remainingTime);
   
-  // Clear status message (will be hidden in CSS)
-  statusMessage.textContent = "";
-  statusMessage.style.color = '';
+  // Feedback is shown (and announced to screen readers) only when it is turned on
+  statusMessage.style.display = feedbackSettings.enabled ? '' : 'none';
+  clearAnswerFeedback();
   
   // Reset input field
   answerInput.value = '';
-  answerInput.style.borderColor = '';
   answerInput.focus();
   
-  // Start the timer
-  trainingTimerId = setInterval(updateTimer, 1000);
-  
-  // Mark session as active
-  sessionActive = true;
+  // Start the timer and start presenting numbers after short delay
+  sessionEngine.start();
   
-  // Start presenting numbers after short delay
-  setTimeout(() => {
-    presentNextNumber();
-  }, 1000);
+  // Background noise runs under the whole session
+  sessionNoise = null;
+  startBackgroundNoise();
 }
 
-
-
-
-
-// Present next number with timeout handling for incorrect answers
-async function presentNextNumber() {
-  // [수정됨] 문제가 바뀌는 순간, 이전 정답과 시간을 기록해둡니다.
-  if (correctAnswer !== null) {
-    previousRoundAnswer = correctAnswer;
-    lastRoundChangeTime = Date.now();
-    inputBlockedUntil = Date.now() + INPUT_BLOCK_DURATION; // [새로 추가] 입력 차단 시작
-  }
-
-  // Don't present numbers if session is not active
-  if (!sessionActive) {
-    return;
-  }
-  
-  if (nextNumberScheduled) {
-    return;
-  }
-  
-  // Set flag to prevent multiple calls
-  nextNumberScheduled = true;
-  
-  // Clear any existing interval
-  if (currentIntervalId) {
-    clearTimeout(currentIntervalId);
-    currentIntervalId = null;
-  }
-
-  // Important: Store current time to enforce timing consistency
-  const currentTime = Date.now();
-  
-  // Only enforce timing if we're not the first number and not forced to present next
-  if (numberSequence.length > 0 && !forcePresentNextNumber) {
-    const timeUntilNextPresentation = nextPresentationTime - currentTime;
-    
-    if (timeUntilNextPresentation > 0) {
-      if (currentIntervalId) {
-        clearTimeout(currentIntervalId);
-        currentIntervalId = null;
-      }
-      currentIntervalId = setTimeout(() => {
-        presentNextNumber();
-      }, timeUntilNextPresentation);
-      return;
-    }
-  }
-  
-  // Reset forced presentation flag
-  forcePresentNextNumber = false;
-
-  // [수정] 다음 숫자가 제시될 때 입력창과 패드를 즉시 초기화
+// [수정] 다음 숫자가 제시될 때 입력창과 패드를 즉시 초기화
+function handleTrialPresented() {
   if (useNumberPad) {
-    numberpadButtons.forEach(btn => {
-      btn.classList.remove('selected');
-      btn.classList.remove('incorrect-selection');
-    });
+    clearNumberpadSelection();
+    numberpadButtons.forEach(btn => btn.classList.remove('incorrect-selection'));
+    // Shuffled layout: new positions for every number
+    if (numberpadSettings.layout === 'shuffled' && numberpadSettings.shuffle === 'trial') {
+      shuffleNumberpad();
+    }
   } else {
     answerInput.value = '';
     answerInput.focus();
   }
 
   // 이전 피드백 메시지와 색상도 즉시 제거
-  statusMessage.textContent = "";
-  statusMessage.style.color = '';
-  answerInput.style.borderColor = '';
-
-  // Generate a new number
-  currentNumber = generateNumber();
-  
-  // Add current number to sequence
-  numberSequence.push(currentNumber);
-  
-  if (numberSequence.length >= nbackValue + 1) {
-    correctAnswer = calculateNbackAnswer(currentNumber, numberSequence, nbackValue);
-    currentTrialId++; 
-
-    const currentTrial = {
-      nbackValue: nbackValue,
-      currentNumber: currentNumber,
-      previousNumber: numberSequence[numberSequence.length - nbackValue - 1], 
-      correctAnswer: correctAnswer,
-      userAnswer: null,
-      correct: null,
-      isi: currentISIValue,
-      trialId: currentTrialId 
-    };
-    sessionHistory.push(currentTrial);
-  }
-  
-  lastPresentedNumber = currentNumber;
-  nextNumberScheduled = false;
-  
-  if (correctAnswer !== null) {
-    answerProcessed = false;
-    processingAnswer = false;
-  }
-  
-  if (!useNumberPad) {
-    answerInput.value = '';
-    answerInput.focus();
-  }
-  
-  try {
-    // Speak the number
-    await speakNumber(currentNumber);
-    
-    // After speaking, schedule next number
-    if (numberSequence.length >= nbackValue + 1) {
-      nextPresentationTime = Date.now() + currentISIValue;
-      
-      currentIntervalId = setTimeout(() => {
-        presentNextNumber();
-      }, currentISIValue);
-      
-      const trialId = currentTrialId; 
-      const trialPresentationTime = Date.now(); 
-      setTimeout(() => {
-        if (!answerProcessed && !processingAnswer) {
-          const targetTrial = sessionHistory.find(t => t.trialId === trialId);
-          if (!targetTrial || targetTrial.userAnswer !== null) {
-            return; 
-          }
-          const lastTrialIndex = sessionHistory.length - 1;
-          const targetTrialIndex = sessionHistory.findIndex(t => t.trialId === trialId);
-          
-          if (targetTrialIndex !== lastTrialIndex) {
-            let finalAnswer = null;
-            const userAnswer = null; 
-            
-            const responseTime = Date.now() - trialPresentationTime;
-            targetTrial.responseTime = responseTime;
-            targetTrial.userAnswer = userAnswer;
-            targetTrial.correct = false;
-            
-            totalAttempts++;
-            consecutiveCorrect = 0;
-            consecutiveIncorrect++;
-            
-            if (!isManualMode) {
-              if (consecutiveIncorrect >= 4) {
-                currentISIValue = Math.min(5000, currentISIValue + 100);
-                currentISI.textContent = currentISIValue;
-                consecutiveIncorrect = 0;
-              }
-            }
-            
-            updateConsecutiveCounter();
-            playErrorBeep();
-          } else {
-            let finalAnswer = null;
-            
-            if (useNumberPad) {
-              const selectedButton = document.querySelector('.numberpad-button.selected');
-              if (selectedButton) {
-                finalAnswer = parseInt(selectedButton.getAttribute('data-value'));
-              }
-            } else {
-              const inputValue = answerInput.value.trim();
-              if (inputValue) {
-                finalAnswer = Number(inputValue);
-              }
-            }
-            
-            let userAnswer = null;
-            if (finalAnswer !== null && !isNaN(finalAnswer)) {
-              userAnswer = Number(finalAnswer);
-            }
-            
-            answerProcessed = true;
-            
-            let success = false;
-            if (userAnswer !== null) {
-              success = processAnswer(userAnswer);
-            } else {
-              success = processAnswer(null);
-            }
-            
-            if (!success) {
-              answerProcessed = false;
-            }
-            
-            if (useNumberPad) {
-              numberpadButtons.forEach(btn => btn.classList.remove('selected'));
-            } else {
-              answerInput.value = '';
-              answerInput.focus(); 
-            }
-          }
-        }
-      }, currentISIValue);
-    } else {
-      nextPresentationTime = Date.now() + currentISIValue;
-      
-      currentIntervalId = setTimeout(() => {
-        presentNextNumber();
-      }, currentISIValue);
-    }
-    
-  } catch (error) {
-    nextNumberScheduled = false;
-    setTimeout(() => {
-      if (!nextNumberScheduled && !processingAnswer) {
-        presentNextNumber();
-      }
-    }, 1000);
-  }
+  clearAnswerFeedback();
 }
 
-
-
-// Process answer - centralized function for handling all answer processing
-function processAnswer(userAnswer) {
-  
-  if (processingAnswer || correctAnswer === null) {
-    return false;
-  }
-
-  processingAnswer = true;
-
-  // Get the current trial
-  const currentTrial = sessionHistory[sessionHistory.length - 1];
-  if (!currentTrial) {
-    processingAnswer = false;
-    return false;
-  }
-
-  // Validate trial hasn't already been answered
-  if (currentTrial.userAnswer !== null) {
-    processingAnswer = false;
-    // Don't reset answerProcessed here - the trial is actually complete
-    return false;
-  }
-
-  // Validate trial belongs to current number sequence
-  if (currentTrial.correctAnswer !== correctAnswer) {
-    processingAnswer = false;
-    // This is a serious error - don't reset answerProcessed to prevent further processing
-    return false;
-  }
-
-  // Calculate response time (from when number was presented to when answer was processed)
-  const responseTime = Date.now() - (nextPresentationTime - currentISIValue);
-  currentTrial.responseTime = responseTime;
-  
-  // Update trial with answer
-  currentTrial.userAnswer = userAnswer;
-  // Robust comparison that properly handles null values
-  let isCorrect = false;
-  if (userAnswer !== null && userAnswer !== undefined) {
-    const numericAnswer = Number(userAnswer);
-    const numericCorrect = Number(currentTrial.correctAnswer);
-    // Only correct if both are valid numbers and equal
-    isCorrect = !isNaN(numericAnswer) && !isNaN(numericCorrect) && numericAnswer === numericCorrect;
-  }
-  // If userAnswer is null/undefined, it's always incorrect
-  currentTrial.correct = isCorrect;
-
-  // Update counters (centralized logic)
-  totalAttempts++;
-  if (isCorrect) {
-    totalCorrect++;
-    consecutiveCorrect++;
-    consecutiveIncorrect = 0;
-  } else {
-    consecutiveCorrect = 0;
-    consecutiveIncorrect++;
-  }
-
+// Show the result of a scored trial
+function handleAnswerScored({ correct: isCorrect, source }) {
 // [수정/추가] 설정에 따른 시각적 피드백 로직
   if (feedbackSettings.enabled) {
-    const feedbackColor = isCorrect ? 'var(--success)' : 'var(--danger)';
-    const feedbackText = isCorrect ? 'Correct!' : 'Incorrect';
-    
-    // 피드백 적용
-    if (useNumberPad) {
-      statusMessage.textContent = feedbackText;
-      statusMessage.style.color = feedbackColor;
-    } else {
-      answerInput.style.borderColor = feedbackColor;
-      statusMessage.textContent = feedbackText;
-      statusMessage.style.color = feedbackColor;
-    }
+    showAnswerFeedback(isCorrect);
     
     // 설정된 시간(duration)이 지나면 피드백 지우기
     setTimeout(() => {
       // 세션이 활성화 상태일 때만 지움 (다음 숫자가 나와서 이미 지워졌을 수도 있으므로)
-      if (sessionActive) {
-         statusMessage.textContent = "";
-         answerInput.style.borderColor = "";
+      if (isSessionActive()) {
+        clearAnswerFeedback();
       }
     }, feedbackSettings.duration); 
   }
-
-  // Update ISI based on performance (only if NOT in manual mode)
-  if (!isManualMode) {
-    // Minimum ISI should account for potential audio duration plus buffer
-    const minISI = 500; // 500ms minimum for audio + response timing
-    
-    if (consecutiveCorrect >= 4) {
-      currentISIValue = Math.max(minISI, currentISIValue - 100);
-      currentISI.textContent = currentISIValue;
-      lowestISI = Math.min(lowestISI, currentISIValue);
-      consecutiveCorrect = 0;
-    } else if (consecutiveIncorrect >= 4) {
-      currentISIValue = Math.min(5000, currentISIValue + 100);
-      currentISI.textContent = currentISIValue;
-      consecutiveIncorrect = 0;
-    }
-  } else {
-    // In manual mode, ensure ISI stays constant at selected value
-    currentISIValue = selectedISI;
-    currentISI.textContent = currentISIValue;
-  }
   
   // Update display
   updateConsecutiveCounter();
@@ -869,8 +1986,8 @@ function processAnswer(userAnswer) {
   // Clear input for next number
   if (useNumberPad) {
     // Only clear selected buttons for correct answers (incorrect answers handle their own cleanup)
-    if (isCorrect) {
-      numberpadButtons.forEach(btn => btn.classList.remove('selected'));
+    if (isCorrect || source === 'timeout') {
+      clearNumberpadSelection();
     }
   } else {
     // Only clear text input for correct answers, allow retry for wrong answers
@@ -880,6 +1997,10 @@ function processAnswer(userAnswer) {
       // For wrong answers, keep focus on input field so user can retry
       answerInput.focus();
     }
+    // A pending answer scored at timeout has been consumed
+    if (source === 'timeout') {
+      answerInput.value = '';
+    }
   }
   
   // Play error beep if enabled - do this AFTER all timing calculations
@@ -887,27 +2008,40 @@ function processAnswer(userAnswer) {
   if (!isCorrect) {
     playErrorBeep();
   }
-  
-  // Don't clear the timeout here - let it handle the next number scheduling
-  // This ensures consistent flow whether answer is processed immediately or by timeout
-  
-  // Reset processing flag to allow future processing
-  processingAnswer = false;
-  return true;
 }
 
-// Update the timer every second
-function updateTimer() {
-  remainingTime--;
-  updateTimerDisplay();
-  
-  if (remainingTime <= 0) {
-    endSession();
+// Feedback in words and a symbol as well as colour, so it does not depend on telling red from green.
+// statusMessage is a live region: screen readers announce it.
+function showAnswerFeedback(isCorrect) {
+  statusMessage.innerHTML = isCorrect
+    ? '<span aria-hidden="true">✓</span> Correct'
+    : '<span aria-hidden="true">✗</span> Incorrect';
+  statusMessage.classList.toggle('feedback-correct', isCorrect);
+  statusMessage.classList.toggle('feedback-incorrect', !isCorrect);
+  if (!useNumberPad) {
+    answerInput.classList.toggle('feedback-correct', isCorrect);
+    answerInput.classList.toggle('feedback-incorrect', !isCorrect);
   }
 }
 
+function clearAnswerFeedback() {
+  statusMessage.textContent = '';
+  statusMessage.classList.remove('feedback-correct', 'feedback-incorrect');
+  answerInput.classList.remove('feedback-correct', 'feedback-incorrect');
+}
+
+// Show the new interval when the staircase moves
+function handleISIChanged({ isi }) {
+  currentISI.textContent = isi;
+}
+
+// Update the timer every second
+function handleTimerTick({ remainingTime }) {
+  updateTimerDisplay(remainingTime);
+}
+
 // Update the timer display
-function updateTimerDisplay() {
+function updateTimerDisplay(remainingTime) {
   const minutes = Math.floor(remainingTime / 60);
   const seconds = remainingTime % 60;
   
@@ -919,49 +2053,340 @@ function updateTimerDisplay() {
   timerCircle.style.background = `conic-gradient(var(--primary) 0% ${progress}%, var(--border-light) ${progress}% 100%)`;
 }
 
-// Pause functionality removed - no more pausing in the game
+// Pending resume countdown (null when no countdown is running)
+let resumeCountdownTimerId = null;
 
-// End session function
-function endSession() {
-  // Stop all audio
+// Pause the running session (reason: 'manual' | 'hidden')
+function pauseSession(reason) {
+  if (!isSessionActive()) {
+    return;
+  }
+  // Hidden again during the countdown - stay paused
+  cancelResumeCountdown();
+  if (sessionEngine.state.paused) {
+    showPauseOverlay(reason);
+    return;
+  }
   stopAllAudio();
+  clearVisualDigit();
+  sessionEngine.pause(reason);
+}
+
+// Resume after the configured countdown
+function resumeSession() {
+  if (!isSessionActive() || !sessionEngine.state.paused || resumeCountdownTimerId !== null) {
+    return;
+  }
   
-  // Beep system cleanup handled in stopAllAudio()
+  const resumeTrainingButton = document.getElementById('resumeTraining');
+  const countdownValue = document.getElementById('resumeCountdownValue');
+  let remaining = pauseSettings.resumeCountdown;
+  
+  if (remaining <= 0) {
+    sessionEngine.resume();
+    return;
+  }
+  
+  if (resumeTrainingButton) resumeTrainingButton.style.display = 'none';
+  if (countdownValue) {
+    countdownValue.style.display = 'block';
+    countdownValue.textContent = remaining;
+  }
   
-  // Clear timers
-  clearInterval(trainingTimerId);
+  const step = () => {
+    remaining--;
+    if (remaining <= 0) {
+      resumeCountdownTimerId = null;
+      sessionEngine.resume();
+      return;
+    }
+    if (countdownValue) countdownValue.textContent = remaining;
+    resumeCountdownTimerId = setTimeout(step, 1000);
+  };
+  resumeCountdownTimerId = setTimeout(step, 1000);
+}
+
+function cancelResumeCountdown() {
+  if (resumeCountdownTimerId !== null) {
+    clearTimeout(resumeCountdownTimerId);
+    resumeCountdownTimerId = null;
+  }
+}
+
+function showPauseOverlay(reason) {
+  const pauseOverlay = document.getElementById('pauseOverlay');
+  const pauseMessage = document.getElementById('pauseMessage');
+  const countdownValue = document.getElementById('resumeCountdownValue');
+  const resumeTrainingButton = document.getElementById('resumeTraining');
+  const pauseTrainingButton = document.getElementById('pauseTraining');
   
-  if (currentIntervalId) {
-    clearTimeout(currentIntervalId);
-    currentIntervalId = null;
+  if (pauseMessage) {
+    pauseMessage.textContent = reason === 'hidden' ? 'Paused while the page was hidden' : 'Paused';
+  }
+  if (countdownValue) countdownValue.style.display = 'none';
+  if (resumeTrainingButton) resumeTrainingButton.style.display = '';
+  if (pauseTrainingButton) pauseTrainingButton.style.display = 'none';
+  if (pauseOverlay) pauseOverlay.style.display = 'flex';
+}
+
+function hidePauseOverlay() {
+  const pauseOverlay = document.getElementById('pauseOverlay');
+  const pauseTrainingButton = document.getElementById('pauseTraining');
+  if (pauseOverlay) pauseOverlay.style.display = 'none';
+  if (pauseTrainingButton) pauseTrainingButton.style.display = '';
+}
+
+// Engine paused: the countdown and the current trial are frozen
+function handleSessionPaused({ reason }) {
+  stopBackgroundNoise();
+  showPauseOverlay(reason);
+}
+
+function handleSessionResumed() {
+  hidePauseOverlay();
+  startBackgroundNoise();
+  if (!useNumberPad) {
+    answerInput.focus();
+  }
+}
+
+// End session function
+function endSession() {
+  if (isSessionActive()) {
+    sessionEngine.end();
   }
+}
+
+// Show results once the engine reports the end of the session
+function handleSessionEnded(summary) {
+  // Stop all audio
+  stopAllAudio();
+  stopBackgroundNoise();
+  clearVisualDigit();
   
-  // Reset state completely for clean session end
-  sessionActive = false;
-  processingAnswer = false;
-  answerProcessed = false;
-  nextNumberScheduled = false;
+  // Beep system cleanup handled in stopAllAudio()
   audioPlayInProgress = false;
-  forcePresentNextNumber = false;
+  
+  // Ended while paused
+  cancelResumeCountdown();
+  hidePauseOverlay();
   
   // Show results screen
   trainingScreen.style.display = 'none';
   resultsScreen.style.display = 'block';
   
   // Update stats
-  correctCount.textContent = totalCorrect;
-  totalCount.textContent = totalAttempts;
-  const accuracy = totalAttempts > 0 ? Math.round((totalCorrect / totalAttempts) * 100) : 0;
-  accuracyRate.textContent = `${accuracy}%`;
-  minISI.textContent = lowestISI;
+  correctCount.textContent = summary.totalCorrect;
+  totalCount.textContent = summary.totalAttempts;
+  accuracyRate.textContent = `${summary.accuracy}%`;
+  minISI.textContent = summary.lowestISI;
+  
+  // Threshold estimate of the adaptive algorithm (none in manual mode)
+  const thresholdISI = document.getElementById('thresholdISI');
+  const thresholdAlgorithm = document.getElementById('thresholdAlgorithm');
+  if (thresholdISI) {
+    thresholdISI.textContent = summary.thresholdISI !== null ? summary.thresholdISI : '-';
+  }
+  if (thresholdAlgorithm) {
+    thresholdAlgorithm.textContent = summary.adaptiveAlgorithm ? `(${ADAPTIVE_ALGORITHMS[summary.adaptiveAlgorithm].label})` : '';
+  }
+  
+  // Accuracy split by ear (only when numbers were played to one side)
+  updateEarAccuracyDisplay(summary.earAccuracy);
+  
+  // Mixed sessions: audio vs visual, modality switch vs repeat
+  updateModalityBreakdownDisplay(summary.modalityBreakdown);
+  
+  // Response times are corrected for the active device's output latency, or flagged as uncalibrated
+  updateLatencyNote(summary);
+  
+  // Unanswered trials vs wrong answers that strict input erased
+  updateAttemptNote(summary.attemptSummary);
+  
+  const sessionSeed = document.getElementById('sessionSeed');
+  if (sessionSeed) sessionSeed.textContent = summary.seed;
   
   // Add session to progress history
-  addSessionToHistory();
+  addSessionToHistory(summary);
   
   // Update cumulative stats display
   updateCumulativeStats();
 }
 
+// Numberpad layouts - every layout offers the whole answer range of the session
+const NUMBERPAD_LAYOUTS = {
+  ascending: { description: 'Every answer in order, six per row.' },
+  phone: { description: 'Three per row like a phone keypad: 1-2-3 on top, then 10-12, 13-15 and so on.' },
+  compose: { description: 'Only the digits 0-9: type tens then ones. The answer counts as soon as no other answer could start with it.' },
+  shuffled: { description: 'Every answer at a random position, so you have to read the keys instead of relying on where they are.' }
+};
+
+// Rebuild the numberpad for the given answer values in the chosen layout
+function renderNumberpad(values) {
+  numberpad.innerHTML = '';
+  numberpad.setAttribute('data-layout', numberpadSettings.layout);
+  numberpadValues = values;
+  
+  if (numberpadSettings.layout === 'compose') {
+    renderComposeKeys(values);
+  } else {
+    getNumberpadCells(values, numberpadSettings.layout).forEach(value => {
+      numberpad.appendChild(value === null ? createNumberpadGap() : createNumberpadButton('data-value', value, value));
+    });
+  }
+  numberpadButtons = numberpad.querySelectorAll('.numberpad-button');
+  clearNumberpadSelection();
+  updateNumberpadSize();
+}
+
+function createNumberpadButton(attribute, key, label, ariaLabel) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'numberpad-button';
+  button.setAttribute(attribute, key);
+  button.textContent = label;
+  if (ariaLabel) button.setAttribute('aria-label', ariaLabel);
+  bindNumberpadButton(button);
+  return button;
+}
+
+// Empty cell that keeps the other keys in place
+function createNumberpadGap() {
+  const gap = document.createElement('div');
+  gap.className = 'numberpad-gap';
+  gap.setAttribute('aria-hidden', 'true');
+  return gap;
+}
+
+// Answer values in the order they fill the grid (null = empty cell)
+function getNumberpadCells(values, layout) {
+  if (layout === 'shuffled') return shuffleValues(values);
+  if (layout === 'phone') return getPhoneCells(values);
+  return values.slice();
+}
+
+// Phone keypad: 1-2-3 on top, 0 under 8, then 10-12, 13-15, ... and the negatives below in the same shape
+function getPhoneCells(values) {
+  const rows = [];
+  values.forEach(value => {
+    const magnitude = Math.abs(value);
+    const base = value < 0 ? 100 : 0;
+    let row = 3;
+    let column = 1; // 0
+    if (magnitude >= 1 && magnitude <= 9) {
+      row = base + Math.floor((magnitude - 1) / 3);
+      column = (magnitude - 1) % 3;
+    } else if (magnitude >= 10) {
+      row = base + 4 + Math.floor((magnitude - 10) / 3);
+      column = (magnitude - 10) % 3;
+    }
+    rows[row] = rows[row] || [null, null, null];
+    rows[row][column] = value;
+  });
+  // filter() skips the rows no value landed in
+  return rows.filter(Boolean).flat();
+}
+
+// Fisher-Yates shuffle (returns a new array)
+function shuffleValues(values) {
+  const shuffled = values.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Move the existing buttons to new random positions
+function shuffleNumberpad() {
+  shuffleValues(Array.from(numberpadButtons)).forEach(button => numberpad.appendChild(button));
+}
+
+// Digit-key layout: a readout, 1-9 in phone order, then sign / 0 / clear
+function renderComposeKeys(values) {
+  const readout = document.createElement('div');
+  readout.className = 'numberpad-readout';
+  readout.setAttribute('aria-live', 'polite');
+  readout.setAttribute('aria-label', 'Answer typed so far');
+  numberpad.appendChild(readout);
+  
+  const digits = new Set(values.map(value => String(Math.abs(value))).join('').split(''));
+  for (let digit = 1; digit <= 9; digit++) {
+    numberpad.appendChild(digits.has(String(digit)) ? createNumberpadButton('data-key', digit, digit) : createNumberpadGap());
+  }
+  numberpad.appendChild(values.some(value => value < 0) ? createNumberpadButton('data-key', '-', '−', 'Minus') : createNumberpadGap());
+  numberpad.appendChild(digits.has('0') ? createNumberpadButton('data-key', 0, 0) : createNumberpadGap());
+  numberpad.appendChild(createNumberpadButton('data-key', 'clear', '⌫', 'Clear'));
+}
+
+// A digit key was pressed: the answer is taken as soon as no further digit could extend it
+function pressComposeKey(key) {
+  if (key === 'clear') {
+    clearNumberpadSelection();
+    return;
+  }
+  const composition = numberpadComposition;
+  if (key === '-') {
+    numberpadComposition = { digits: composition.selected === null ? composition.digits : '', negative: !composition.negative, selected: null };
+    updateComposeReadout();
+    return;
+  }
+  
+  const sign = composition.negative ? -1 : 1;
+  const startsAnswer = digits => numberpadValues.some(value => Math.sign(value) !== -sign && String(Math.abs(value)).startsWith(digits));
+  // 이미 고른 답 뒤에 누른 숫자나 이어질 수 없는 숫자는 새 입력의 시작
+  let digits = composition.selected === null ? composition.digits + key : String(key);
+  if (!startsAnswer(digits)) {
+    digits = String(key);
+  }
+  numberpadComposition = { digits: digits, negative: composition.negative, selected: null };
+  updateComposeReadout();
+  if (!startsAnswer(digits)) {
+    return;
+  }
+  
+  const value = sign * Number(digits);
+  const canExtend = numberpadValues.some(other => Math.sign(other) !== -sign && String(Math.abs(other)).startsWith(digits) && other !== value);
+  if (!canExtend && numberpadValues.includes(value)) {
+    selectNumberpadAnswer(value);
+  } else if (canProcessButtonClick()) {
+    sessionEngine.recordInput('partial', value);
+  }
+}
+
+// Show the digits typed so far (or the chosen answer) - returns the readout
+function updateComposeReadout() {
+  const readout = numberpad ? numberpad.querySelector('.numberpad-readout') : null;
+  if (!readout) return null;
+  const composition = numberpadComposition;
+  const text = composition.selected !== null
+    ? String(composition.selected).replace('-', '−')
+    : (composition.negative ? '−' : '') + composition.digits;
+  readout.textContent = text || '\u00a0';
+  readout.classList.toggle('selected', composition.selected !== null);
+  return readout;
+}
+
+// Answer values the numberpad offers for the given session
+function getNumberpadValues(engine) {
+  // Constrain Sum to 9 always shows the full 1-9 grid
+  const min = engine.task.constrainSumTo9 ? 1 : engine.answerRange.min;
+  const max = engine.answerRange.max;
+  return Array.from({ length: max - min + 1 }, (_, i) => min + i);
+}
+
+// Whether every answer of the running session is a single digit (0-9)
+function isSingleDigitSession() {
+  return sessionEngine !== null && sessionEngine.answerRange.min >= 0 && sessionEngine.answerRange.max <= 9;
+}
+
+// Grid columns of the current layout
+function getNumberpadColumns() {
+  if (numberpadSettings.layout === 'phone' || numberpadSettings.layout === 'compose') return 3;
+  // 1-9 only (Constrain Sum to 9): a 3x3 grid
+  return numberpadValues.length === 9 ? 3 : 6;
+}
+
 // Update numberpad button sizes
 function updateNumberpadSize() {
   const size = getComputedStyle(document.documentElement).getPropertyValue('--numberpad-button-size');
@@ -975,6 +2400,8 @@ function updateNumberpadSize() {
   // Update grid gap to prevent overlap
   const numberpad = document.getElementById('numberpad');
   if (numberpad) {
+    numberpad.style.setProperty('--numberpad-columns', getNumberpadColumns());
+    
     const baseGap = 6; // 0.375rem = 6px
     const buttonSize = 56; // 3.5rem = 56px base button size
     const scaledButtonSize = buttonSize * scale;
@@ -1076,7 +2503,11 @@ let allSessions = [];
 // Custom mode settings persistence
 let customModeSettings = {
   selectedISI: 3000,
-  sessionDuration: 20
+  sessionDuration: 20,
+  constrainSumTo9: false,
+  staircase: Object.assign({}, DEFAULT_STAIRCASE),
+  adaptiveAlgorithm: 'run',
+  targetAccuracy: 0.8
 };
 
 // N-back settings persistence
@@ -1084,16 +2515,82 @@ let nbackSettings = {
   value: 1
 };
 
-// Beep settings persistence
-let beepSettings = {
-  enabled: false,
-  volume: 0.5
+// Beep settings persistence
+let beepSettings = {
+  enabled: false,
+  volume: 0.5
+};
+
+// Audio speed settings persistence
+let audioSpeedSettings = {
+  rate: 1.0
+};
+
+// Operation settings persistence (how the two numbers are combined)
+let operationSettings = {
+  operation: 'add', // add | subtract | absDiff
+  offset: 0         // Add Value (+N), addition only
+};
+
+// Sequence rules persistence (digit generator constraints)
+let sequenceRulesSettings = Object.assign({}, DEFAULT_SEQUENCE_RULES);
+
+// Voice settings persistence
+let voiceSettings = {
+  pack: 'A' // voice id from audio/manifest.json, or 'mixed' (random voice per trial)
+};
+
+// Pause settings persistence
+let pauseSettings = {
+  autoPauseOnHide: true, // 탭을 숨기면 자동 일시정지
+  resumeCountdown: 3     // 재개 전 카운트다운 (초, 0 = 바로 재개)
+};
+
+// Input rules (strict input, late answers, input block) - see DEFAULT_INPUT_POLICY
+let inputPolicySettings = Object.assign({}, DEFAULT_INPUT_POLICY);
+
+// Presentation modality settings persistence
+const VISUAL_FONT_SIZE_LIMITS = { min: 3, max: 12 }; // rem
+const VISUAL_DURATIONS = [250, 500, 750, 1000, 1500];  // ms
+let presentationSettings = {
+  modality: 'auditory',  // 'auditory' (PASAT) | 'visual' (PVSAT) | 'mixed' (cross-modal, see MODALITIES)
+  crossModalAnswer: false, // mixed: 마지막 음성 숫자와 마지막 화면 숫자를 계산
+  fontSize: 6,           // 숫자 글자 크기 (rem)
+  displayDuration: 1000, // 숫자 표시 시간 (ms)
+  positionJitter: false  // 숫자 위치를 매번 조금씩 이동
+};
+
+// Ear presentation settings persistence (see DEFAULT_SPATIAL in session-engine.js)
+let spatialSettings = Object.assign({}, DEFAULT_SPATIAL);
+
+// Background noise settings persistence
+let noiseSettings = {
+  type: 'off', // 'off' or a NOISE_TYPES key
+  snr: 10      // 신호 대 잡음비 (dB) - 낮을수록 어려움
+};
+
+// Output latency per device profile (latency null = not calibrated yet)
+let latencySettings = {
+  activeProfile: 'default',
+  profiles: {
+    default: { name: 'This device', latency: null, calibratedAt: null }
+  }
+};
+
+// Answer keys: KeyboardEvent.code -> answer value, active only during sessions
+let keybindingSettings = {
+  show: false,   // Configuration panel open
+  bindings: {}
 };
+let keybindingCapture = null; // Answer value waiting for its key
 
-// Audio speed settings persistence
-let audioSpeedSettings = {
-  rate: 1.0
+// Numberpad layout (see NUMBERPAD_LAYOUTS)
+let numberpadSettings = {
+  layout: 'ascending',
+  shuffle: 'session' // shuffled layout: new positions every 'session' or every 'trial'
 };
+let numberpadValues = [];  // Answer values the current numberpad offers
+let numberpadComposition = { digits: '', negative: false, selected: null }; // Digit-key layout entry
 
 // Load saved sessions from localStorage
 function loadSessions() {
@@ -1125,6 +2622,10 @@ function loadCustomModeSettings() {
       const settings = JSON.parse(saved);
       customModeSettings.selectedISI = settings.selectedISI || 3000;
       customModeSettings.sessionDuration = settings.sessionDuration || 20;
+      customModeSettings.constrainSumTo9 = settings.constrainSumTo9 || false;
+      customModeSettings.staircase = normalizeStaircase(settings.staircase);
+      customModeSettings.adaptiveAlgorithm = ADAPTIVE_ALGORITHMS[settings.adaptiveAlgorithm] ? settings.adaptiveAlgorithm : 'run';
+      customModeSettings.targetAccuracy = normalizeTargetAccuracy(settings.targetAccuracy);
       
       // Update UI to reflect loaded settings
       updateCustomModeUI();
@@ -1183,6 +2684,603 @@ function loadBeepSettings() {
   }
 }
 
+// Load operation settings from localStorage
+function loadOperationSettings() {
+  try {
+    const saved = localStorage.getItem('pasatOperationSettings');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      operationSettings.operation = OPERATIONS[settings.operation] ? settings.operation : 'add';
+      operationSettings.offset = Math.max(0, Math.min(3, parseInt(settings.offset) || 0));
+    }
+  } catch (error) {
+    console.error('Error loading operation settings:', error);
+  }
+}
+
+// Save operation settings to localStorage
+function saveOperationSettings() {
+  try {
+    localStorage.setItem('pasatOperationSettings', JSON.stringify(operationSettings));
+  } catch (error) {
+    console.error('Error saving operation settings:', error);
+  }
+}
+
+// Load sequence rules from localStorage
+function loadSequenceRulesSettings() {
+  try {
+    const saved = localStorage.getItem('pasatSequenceRules');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      const clampProbability = (value, fallback) => Math.max(0, Math.min(1, typeof value === 'number' ? value : fallback));
+      sequenceRulesSettings.allowAAProbability = clampProbability(settings.allowAAProbability, DEFAULT_SEQUENCE_RULES.allowAAProbability);
+      sequenceRulesSettings.allowABAProbability = clampProbability(settings.allowABAProbability, DEFAULT_SEQUENCE_RULES.allowABAProbability);
+      sequenceRulesSettings.maxAnswerRepeats = Math.max(0, Math.min(10, parseInt(settings.maxAnswerRepeats) || 0));
+      sequenceRulesSettings.forbidIdenticalSumRuns = settings.forbidIdenticalSumRuns || false;
+      sequenceRulesSettings.answerDistribution = ['natural', 'uniform', 'high', 'low'].includes(settings.answerDistribution) ? settings.answerDistribution : 'natural';
+    }
+  } catch (error) {
+    console.error('Error loading sequence rules:', error);
+  }
+}
+
+// Save sequence rules to localStorage
+function saveSequenceRulesSettings() {
+  try {
+    localStorage.setItem('pasatSequenceRules', JSON.stringify(sequenceRulesSettings));
+  } catch (error) {
+    console.error('Error saving sequence rules:', error);
+  }
+}
+
+// Load voice settings from localStorage
+function loadVoiceSettings() {
+  try {
+    const saved = localStorage.getItem('pasatVoiceSettings');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      voiceSettings.pack = typeof settings.pack === 'string' ? settings.pack : 'A';
+    }
+  } catch (error) {
+    console.error('Error loading voice settings:', error);
+  }
+}
+
+// Save voice settings to localStorage
+function saveVoiceSettings() {
+  try {
+    localStorage.setItem('pasatVoiceSettings', JSON.stringify(voiceSettings));
+  } catch (error) {
+    console.error('Error saving voice settings:', error);
+  }
+}
+
+// Update voice UI (options come from the manifest once it has loaded)
+function updateVoiceUI() {
+  const voicePackSelect = document.getElementById('voicePack');
+  const voicePackNote = document.getElementById('voicePackNote');
+  if (!voicePackSelect) return;
+  
+  voicePackSelect.innerHTML = '';
+  Object.keys(voicePacks).forEach(voiceId => {
+    const option = document.createElement('option');
+    option.value = voiceId;
+    option.textContent = voicePacks[voiceId].label;
+    voicePackSelect.appendChild(option);
+  });
+  if (Object.keys(voicePacks).length > 1) {
+    const mixedOption = document.createElement('option');
+    mixedOption.value = 'mixed';
+    mixedOption.textContent = 'Mixed (random voice each number)';
+    voicePackSelect.appendChild(mixedOption);
+  }
+  
+  const selected = voiceSettings.pack === 'mixed' || voicePacks[voiceSettings.pack] ? voiceSettings.pack : Object.keys(voicePacks)[0];
+  if (selected) voicePackSelect.value = selected;
+  
+  // Mention digits a pack borrows from its fallback voice
+  if (voicePackNote) {
+    const notes = Object.keys(voicePacks)
+      .filter(voiceId => voicePacks[voiceId].fallback && voicePacks[voiceId].digits.length < 9)
+      .map(voiceId => {
+        const pack = voicePacks[voiceId];
+        const missing = [1, 2, 3, 4, 5, 6, 7, 8, 9].filter(digit => !pack.digits.includes(digit));
+        const fallbackLabel = voicePacks[pack.fallback] ? voicePacks[pack.fallback].label : pack.fallback;
+        return `${pack.label} has no recording for ${missing.join(', ')}; ${fallbackLabel} speaks ${missing.length > 1 ? 'them' : 'it'} instead.`;
+      });
+    voicePackNote.textContent = notes.join(' ');
+  }
+}
+
+// Load pause settings from localStorage
+function loadPauseSettings() {
+  try {
+    const saved = localStorage.getItem('pasatPauseSettings');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      pauseSettings.autoPauseOnHide = settings.autoPauseOnHide !== false;
+      pauseSettings.resumeCountdown = Math.max(0, Math.min(5, parseInt(settings.resumeCountdown) || 0));
+    }
+  } catch (error) {
+    console.error('Error loading pause settings:', error);
+  }
+}
+
+// Save pause settings to localStorage
+function savePauseSettings() {
+  try {
+    localStorage.setItem('pasatPauseSettings', JSON.stringify(pauseSettings));
+  } catch (error) {
+    console.error('Error saving pause settings:', error);
+  }
+}
+
+// Update pause settings UI
+function updatePauseUI() {
+  const autoPauseOnHideToggle = document.getElementById('autoPauseOnHide');
+  const resumeCountdownSelect = document.getElementById('resumeCountdownSelect');
+  if (autoPauseOnHideToggle) autoPauseOnHideToggle.checked = pauseSettings.autoPauseOnHide;
+  if (resumeCountdownSelect) resumeCountdownSelect.value = pauseSettings.resumeCountdown;
+}
+
+// Load input rules from localStorage
+function loadInputPolicySettings() {
+  try {
+    const saved = localStorage.getItem('pasatInputPolicySettings');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      inputPolicySettings.strictInput = settings.strictInput !== false;
+      inputPolicySettings.ignoreLateAnswers = settings.ignoreLateAnswers !== false;
+      inputPolicySettings.lateAnswerWindow = LATE_ANSWER_WINDOWS.includes(settings.lateAnswerWindow)
+        ? settings.lateAnswerWindow
+        : DEFAULT_INPUT_POLICY.lateAnswerWindow;
+      inputPolicySettings.inputBlockDuration = INPUT_BLOCK_DURATIONS.includes(settings.inputBlockDuration)
+        ? settings.inputBlockDuration
+        : DEFAULT_INPUT_POLICY.inputBlockDuration;
+    }
+  } catch (error) {
+    console.error('Error loading input rules:', error);
+  }
+}
+
+// Save input rules to localStorage
+function saveInputPolicySettings() {
+  try {
+    localStorage.setItem('pasatInputPolicySettings', JSON.stringify(inputPolicySettings));
+  } catch (error) {
+    console.error('Error saving input rules:', error);
+  }
+}
+
+// Update input rules UI
+function updateInputPolicyUI() {
+  const strictInputToggle = document.getElementById('strictInput');
+  const ignoreLateAnswersToggle = document.getElementById('ignoreLateAnswers');
+  const lateAnswerWindowSelect = document.getElementById('lateAnswerWindow');
+  const inputBlockDurationSelect = document.getElementById('inputBlockDuration');
+  if (strictInputToggle) strictInputToggle.checked = inputPolicySettings.strictInput;
+  if (ignoreLateAnswersToggle) ignoreLateAnswersToggle.checked = inputPolicySettings.ignoreLateAnswers;
+  if (lateAnswerWindowSelect) {
+    lateAnswerWindowSelect.value = inputPolicySettings.lateAnswerWindow;
+    lateAnswerWindowSelect.disabled = !inputPolicySettings.ignoreLateAnswers;
+  }
+  if (inputBlockDurationSelect) inputBlockDurationSelect.value = inputPolicySettings.inputBlockDuration;
+}
+
+// Scoring label of a saved session - sessions saved before the setting existed used strict input
+function getScoringLabel(session) {
+  return session.inputPolicy && !session.inputPolicy.strictInput ? 'Classic scoring' : 'Strict input';
+}
+
+// Load presentation settings from localStorage
+function loadPresentationSettings() {
+  try {
+    const saved = localStorage.getItem('pasatPresentationSettings');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      presentationSettings.modality = MODALITIES.includes(settings.modality) ? settings.modality : 'auditory';
+      presentationSettings.crossModalAnswer = settings.crossModalAnswer === true;
+      const fontSize = parseInt(settings.fontSize);
+      presentationSettings.fontSize = isNaN(fontSize) ? 6 : Math.max(VISUAL_FONT_SIZE_LIMITS.min, Math.min(VISUAL_FONT_SIZE_LIMITS.max, fontSize));
+      const displayDuration = parseInt(settings.displayDuration);
+      presentationSettings.displayDuration = VISUAL_DURATIONS.includes(displayDuration) ? displayDuration : 1000;
+      presentationSettings.positionJitter = settings.positionJitter === true;
+    }
+  } catch (error) {
+    console.error('Error loading presentation settings:', error);
+  }
+}
+
+// Save presentation settings to localStorage
+function savePresentationSettings() {
+  try {
+    localStorage.setItem('pasatPresentationSettings', JSON.stringify(presentationSettings));
+  } catch (error) {
+    console.error('Error saving presentation settings:', error);
+  }
+}
+
+// Update presentation UI - the visual options apply whenever digits are shown
+function updatePresentationUI() {
+  const modalitySelect = document.getElementById('modality');
+  const crossModalControls = document.getElementById('crossModalControls');
+  const crossModalAnswerToggle = document.getElementById('crossModalAnswer');
+  const visualControls = document.getElementById('visualControls');
+  const visualFontSize = document.getElementById('visualFontSize');
+  const visualFontSizeValue = document.getElementById('visualFontSizeValue');
+  const visualDuration = document.getElementById('visualDuration');
+  const visualJitter = document.getElementById('visualJitter');
+  
+  if (modalitySelect) modalitySelect.value = presentationSettings.modality;
+  if (crossModalControls) crossModalControls.style.display = presentationSettings.modality === 'mixed' ? 'block' : 'none';
+  if (crossModalAnswerToggle) crossModalAnswerToggle.checked = presentationSettings.crossModalAnswer;
+  if (visualControls) visualControls.style.display = presentationSettings.modality !== 'auditory' ? 'block' : 'none';
+  if (visualFontSize) visualFontSize.value = presentationSettings.fontSize;
+  if (visualFontSizeValue) visualFontSizeValue.textContent = `${presentationSettings.fontSize}rem`;
+  if (visualDuration) visualDuration.value = presentationSettings.displayDuration;
+  if (visualJitter) visualJitter.checked = presentationSettings.positionJitter;
+}
+
+// Load ear presentation settings from localStorage
+function loadSpatialSettings() {
+  try {
+    const saved = localStorage.getItem('pasatSpatialSettings');
+    if (saved) {
+      spatialSettings = normalizeSpatial(JSON.parse(saved));
+    }
+  } catch (error) {
+    console.error('Error loading ear presentation settings:', error);
+  }
+}
+
+// Save ear presentation settings to localStorage
+function saveSpatialSettings() {
+  try {
+    localStorage.setItem('pasatSpatialSettings', JSON.stringify(spatialSettings));
+  } catch (error) {
+    console.error('Error saving ear presentation settings:', error);
+  }
+}
+
+// Update ear presentation UI - distractors need a fixed ear
+function updateSpatialUI() {
+  const spatialMode = document.getElementById('spatialMode');
+  const spatialDistractors = document.getElementById('spatialDistractors');
+  const fixedEar = spatialSettings.mode === 'left' || spatialSettings.mode === 'right';
+  if (spatialMode) spatialMode.value = spatialSettings.mode;
+  if (spatialDistractors) {
+    spatialDistractors.checked = spatialSettings.distractors;
+    spatialDistractors.disabled = !fixedEar;
+  }
+}
+
+// Load background noise settings from localStorage
+function loadNoiseSettings() {
+  try {
+    const saved = localStorage.getItem('pasatNoiseSettings');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      noiseSettings.type = NOISE_TYPES[settings.type] ? settings.type : 'off';
+      const snr = parseInt(settings.snr);
+      noiseSettings.snr = isNaN(snr) ? 10 : Math.max(NOISE_SNR_LIMITS.min, Math.min(NOISE_SNR_LIMITS.max, snr));
+    }
+  } catch (error) {
+    console.error('Error loading noise settings:', error);
+  }
+}
+
+// Save background noise settings to localStorage
+function saveNoiseSettings() {
+  try {
+    localStorage.setItem('pasatNoiseSettings', JSON.stringify(noiseSettings));
+  } catch (error) {
+    console.error('Error saving noise settings:', error);
+  }
+}
+
+// Update background noise UI
+function updateNoiseUI() {
+  const noiseType = document.getElementById('noiseType');
+  const noiseControls = document.getElementById('noiseControls');
+  const noiseSnrSlider = document.getElementById('noiseSnrSlider');
+  const noiseSnrValue = document.getElementById('noiseSnrValue');
+  const noiseFileControls = document.getElementById('noiseFileControls');
+  const noiseFileName = document.getElementById('noiseFileName');
+  const noiseNote = document.getElementById('noiseNote');
+  
+  if (noiseType) noiseType.value = noiseSettings.type;
+  if (noiseControls) noiseControls.style.display = noiseSettings.type === 'off' ? 'none' : 'block';
+  if (noiseSnrSlider) noiseSnrSlider.value = noiseSettings.snr;
+  if (noiseSnrValue) noiseSnrValue.textContent = `${noiseSettings.snr} dB`;
+  if (noiseFileControls) noiseFileControls.style.display = noiseSettings.type === 'file' ? 'flex' : 'none';
+  if (noiseFileName) {
+    noiseFileName.textContent = noiseFileBlob ? (noiseFileBlob.name || 'Saved file') : 'No file chosen';
+  }
+  if (noiseNote) {
+    noiseNote.textContent = noiseSettings.type !== 'off' && !getWebAudioContext()
+      ? 'Background noise needs Web Audio, which this browser is not using - sessions will run without it.'
+      : '';
+  }
+}
+
+// Load answer key bindings from localStorage
+function loadKeybindingSettings() {
+  try {
+    const saved = localStorage.getItem('pasatKeybindingSettings');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      keybindingSettings.show = Boolean(settings.show);
+      keybindingSettings.bindings = {};
+      Object.keys(settings.bindings || {}).forEach(code => {
+        const value = parseInt(settings.bindings[code]);
+        if (!isNaN(value)) keybindingSettings.bindings[code] = value;
+      });
+    }
+  } catch (error) {
+    console.error('Error loading keybinding settings:', error);
+  }
+}
+
+// Save answer key bindings to localStorage
+function saveKeybindingSettings() {
+  try {
+    localStorage.setItem('pasatKeybindingSettings', JSON.stringify(keybindingSettings));
+  } catch (error) {
+    console.error('Error saving keybinding settings:', error);
+  }
+}
+
+// Readable name of a key code, e.g. KeyQ -> Q, Numpad1 -> Num 1
+function formatKeyCode(code) {
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  return code;
+}
+
+// Key bound to an answer value, or null
+function getAnswerKey(value) {
+  const code = Object.keys(keybindingSettings.bindings).find(key => keybindingSettings.bindings[key] === value);
+  return code || null;
+}
+
+// Bind a key to an answer value - each key answers one value and each value has one key
+function assignAnswerKey(code, value) {
+  const previous = getAnswerKey(value);
+  if (previous) delete keybindingSettings.bindings[previous];
+  keybindingSettings.bindings[code] = value;
+  saveKeybindingSettings();
+}
+
+function removeAnswerKey(value) {
+  const code = getAnswerKey(value);
+  if (code) {
+    delete keybindingSettings.bindings[code];
+    saveKeybindingSettings();
+  }
+}
+
+// Update answer key UI - one button per answer of the current operation
+function updateKeybindingUI() {
+  const showKeybindings = document.getElementById('showKeybindings');
+  const keybindingControls = document.getElementById('keybindingControls');
+  const keybindingGrid = document.getElementById('keybindingGrid');
+  
+  if (showKeybindings) showKeybindings.checked = keybindingSettings.show;
+  if (keybindingControls) keybindingControls.style.display = keybindingSettings.show ? 'block' : 'none';
+  if (!keybindingGrid) return;
+  
+  const isAddition = operationSettings.operation === 'add';
+  const range = getAnswerRange({ operation: operationSettings.operation, offset: isAddition ? operationSettings.offset : 0 });
+  keybindingGrid.innerHTML = '';
+  for (let value = range.min; value <= range.max; value++) {
+    const code = getAnswerKey(value);
+    const button = document.createElement('button');
+    button.className = 'keybinding-button';
+    button.setAttribute('data-value', value);
+    if (keybindingCapture === value) {
+      button.classList.add('capturing');
+      button.textContent = `${value}: press a key`;
+    } else {
+      button.textContent = `${value}: ${code ? formatKeyCode(code) : '-'}`;
+    }
+    button.addEventListener('click', () => {
+      keybindingCapture = keybindingCapture === value ? null : value;
+      updateKeybindingUI();
+    });
+    keybindingGrid.appendChild(button);
+  }
+}
+
+// Keys while an answer waits for its key: Escape cancels, Backspace/Delete removes the binding,
+// Tab cancels and moves the focus on as usual (so keyboard users are not trapped)
+function captureAnswerKey(e) {
+  const value = keybindingCapture;
+  keybindingCapture = null;
+  if (e.key === 'Tab') {
+    updateKeybindingUI();
+    return;
+  }
+  e.preventDefault();
+  if (e.key === 'Backspace' || e.key === 'Delete') {
+    removeAnswerKey(value);
+  } else if (e.key !== 'Escape') {
+    assignAnswerKey(e.code, value);
+  }
+  updateKeybindingUI();
+}
+
+// Load numberpad layout from localStorage
+function loadNumberpadSettings() {
+  try {
+    const saved = localStorage.getItem('pasatNumberpadSettings');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      numberpadSettings.layout = NUMBERPAD_LAYOUTS[settings.layout] ? settings.layout : 'ascending';
+      numberpadSettings.shuffle = settings.shuffle === 'trial' ? 'trial' : 'session';
+    }
+  } catch (error) {
+    console.error('Error loading numberpad settings:', error);
+  }
+}
+
+// Save numberpad layout to localStorage
+function saveNumberpadSettings() {
+  try {
+    localStorage.setItem('pasatNumberpadSettings', JSON.stringify(numberpadSettings));
+  } catch (error) {
+    console.error('Error saving numberpad settings:', error);
+  }
+}
+
+// Update numberpad layout UI
+function updateNumberpadLayoutUI() {
+  const layoutSelect = document.getElementById('numberpadLayout');
+  const shuffleSelect = document.getElementById('numberpadShuffle');
+  const layoutNote = document.getElementById('numberpadLayoutNote');
+  if (layoutSelect) layoutSelect.value = numberpadSettings.layout;
+  if (shuffleSelect) {
+    shuffleSelect.value = numberpadSettings.shuffle;
+    shuffleSelect.style.display = numberpadSettings.layout === 'shuffled' ? '' : 'none';
+  }
+  if (layoutNote) layoutNote.textContent = NUMBERPAD_LAYOUTS[numberpadSettings.layout].description;
+}
+
+// Load output latency profiles from localStorage
+function loadLatencySettings() {
+  try {
+    const saved = localStorage.getItem('pasatLatencySettings');
+    if (saved) {
+      const settings = JSON.parse(saved);
+      const profiles = {};
+      Object.keys(settings.profiles || {}).forEach(id => {
+        const profile = settings.profiles[id];
+        profiles[id] = {
+          name: String(profile.name || 'Device'),
+          latency: profile.latency === null || profile.latency === undefined ? null : normalizeOutputLatency(profile.latency),
+          calibratedAt: profile.calibratedAt || null
+        };
+      });
+      if (Object.keys(profiles).length > 0) {
+        latencySettings.profiles = profiles;
+        latencySettings.activeProfile = profiles[settings.activeProfile] ? settings.activeProfile : Object.keys(profiles)[0];
+      }
+    }
+  } catch (error) {
+    console.error('Error loading latency settings:', error);
+  }
+}
+
+// Save output latency profiles to localStorage
+function saveLatencySettings() {
+  try {
+    localStorage.setItem('pasatLatencySettings', JSON.stringify(latencySettings));
+  } catch (error) {
+    console.error('Error saving latency settings:', error);
+  }
+}
+
+function getActiveLatencyProfile() {
+  return latencySettings.profiles[latencySettings.activeProfile];
+}
+
+// Add a profile for another output device and switch to it
+function addLatencyProfile(name) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return;
+  const id = `device-${Date.now()}`;
+  latencySettings.profiles[id] = { name: trimmed, latency: null, calibratedAt: null };
+  latencySettings.activeProfile = id;
+  saveLatencySettings();
+  setLatencyStatus('');
+  updateLatencyUI();
+}
+
+// Delete the active profile (the last one always stays)
+function deleteLatencyProfile() {
+  const ids = Object.keys(latencySettings.profiles);
+  if (ids.length <= 1) return;
+  delete latencySettings.profiles[latencySettings.activeProfile];
+  latencySettings.activeProfile = Object.keys(latencySettings.profiles)[0];
+  saveLatencySettings();
+  setLatencyStatus('');
+  updateLatencyUI();
+}
+
+// Update output latency UI
+function updateLatencyUI() {
+  const latencyProfile = document.getElementById('latencyProfile');
+  const latencyValue = document.getElementById('latencyValue');
+  const deleteProfileButton = document.getElementById('deleteLatencyProfile');
+  const startCalibrationButton = document.getElementById('startCalibration');
+  const calibrationPanel = document.getElementById('calibrationPanel');
+  const calibrationProgress = document.getElementById('calibrationProgress');
+  const profile = getActiveLatencyProfile();
+  
+  if (latencyProfile) {
+    latencyProfile.innerHTML = '';
+    Object.keys(latencySettings.profiles).forEach(id => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = latencySettings.profiles[id].name;
+      latencyProfile.appendChild(option);
+    });
+    latencyProfile.value = latencySettings.activeProfile;
+    latencyProfile.disabled = Boolean(calibration);
+  }
+  if (latencyValue) {
+    latencyValue.textContent = profile.latency !== null
+      ? `${profile.latency} ms (calibrated ${new Date(profile.calibratedAt).toLocaleDateString()})`
+      : 'Not calibrated';
+  }
+  if (deleteProfileButton) deleteProfileButton.disabled = Boolean(calibration) || Object.keys(latencySettings.profiles).length <= 1;
+  if (startCalibrationButton) startCalibrationButton.style.display = calibration ? 'none' : '';
+  if (calibrationPanel) calibrationPanel.style.display = calibration ? 'flex' : 'none';
+  if (calibrationProgress && calibration) calibrationProgress.textContent = '0 taps';
+}
+
+// Results screen: what the response times were corrected by
+function updateLatencyNote(summary) {
+  const latencyNote = document.getElementById('latencyNote');
+  if (!latencyNote) return;
+  const profile = getActiveLatencyProfile();
+  if (summary.outputLatency === null) {
+    latencyNote.textContent = '';
+  } else if (profile.latency === null) {
+    latencyNote.textContent = `Uncalibrated: response times include the audio output delay of "${profile.name}". Calibrate it under Output Latency before the next session.`;
+  } else {
+    latencyNote.textContent = `Response times corrected for ${summary.outputLatency} ms output latency ("${profile.name}").`;
+  }
+}
+
+// Results screen: what the attempt logs show beyond the scored answers
+function updateAttemptNote(attemptSummary) {
+  const attemptNote = document.getElementById('attemptNote');
+  if (!attemptNote) return;
+  if (!attemptSummary) {
+    attemptNote.textContent = '';
+    return;
+  }
+  const parts = [
+    `No answer on ${attemptSummary.unanswered} trial${attemptSummary.unanswered === 1 ? '' : 's'}`,
+    `wrong answers entered on ${attemptSummary.trialsWithWrongAnswers} (${attemptSummary.wrongAnswers} in total)`
+  ];
+  const ignored = attemptSummary.blocked + attemptSummary.late;
+  if (ignored > 0) {
+    parts.push(`${ignored} ignored right after a number changed`);
+  }
+  if (attemptSummary.meanFirstKeyLatency !== null) {
+    parts.push(`first key after ${attemptSummary.meanFirstKeyLatency} ms on average`);
+  }
+  attemptNote.textContent = parts.join(' · ') + '.';
+}
+
+// Sessions with spoken numbers whose response times were not latency-corrected
+function isUncalibratedSession(session) {
+  return session.modality !== 'visual' && !(session.latency && session.latency.calibrated);
+}
+
 // Save N-back settings to localStorage
 function saveNbackSettings() {
   try {
@@ -1192,22 +3290,81 @@ function saveNbackSettings() {
   }
 }
 
-// Save custom mode settings to localStorage
-function saveCustomModeSettings() {
-  try {
-    localStorage.setItem('pasatCustomModeSettings', JSON.stringify(customModeSettings));
-  } catch (error) {
-    console.error('Error saving custom mode settings:', error);
-  }
+// Save custom mode settings to localStorage
+function saveCustomModeSettings() {
+  try {
+    localStorage.setItem('pasatCustomModeSettings', JSON.stringify(customModeSettings));
+  } catch (error) {
+    console.error('Error saving custom mode settings:', error);
+  }
+}
+
+// Save beep settings to localStorage
+function saveBeepSettings() {
+  try {
+    localStorage.setItem('pasatBeepSettings', JSON.stringify(beepSettings));
+  } catch (error) {
+    console.error('Error saving beep settings:', error);
+  }
+}
+
+// ==========================================
+// Offline app: register the service worker (sw.js) and offer a reload once an update is cached
+let waitingServiceWorker = null; // New version waiting to take over
+let updateRequested = false;     // Reload only after the user asked for the update
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') {
+    return;
+  }
+  
+  navigator.serviceWorker.register('sw.js').then(registration => {
+    // Cached during an earlier visit and still waiting
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdatePrompt(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install - nothing to update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          showUpdatePrompt(worker);
+        }
+      });
+    });
+  }).catch(error => {
+    console.error('Error registering service worker:', error);
+  });
+  
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateRequested) {
+      updateRequested = false;
+      window.location.reload();
+    }
+  });
+}
+
+function showUpdatePrompt(worker) {
+  waitingServiceWorker = worker;
+  const updateBanner = document.getElementById('updateBanner');
+  if (updateBanner) updateBanner.style.display = 'flex';
+}
+
+function hideUpdatePrompt() {
+  const updateBanner = document.getElementById('updateBanner');
+  if (updateBanner) updateBanner.style.display = 'none';
 }
 
-// Save beep settings to localStorage
-function saveBeepSettings() {
-  try {
-    localStorage.setItem('pasatBeepSettings', JSON.stringify(beepSettings));
-  } catch (error) {
-    console.error('Error saving beep settings:', error);
+// Let the waiting version take over; the page reloads on controllerchange
+function applyUpdate() {
+  if (!waitingServiceWorker) return;
+  if (isSessionActive() && !confirm('Reloading ends the current training session. Reload now?')) {
+    return;
   }
+  updateRequested = true;
+  waitingServiceWorker.postMessage({ type: 'SKIP_WAITING' });
+  hideUpdatePrompt();
 }
 
 // Theme management functions
@@ -1302,6 +3459,16 @@ function updateThemeToggleIcon(theme) {
   }
 }
 
+// Staircase input id -> customModeSettings.staircase field
+const STAIRCASE_INPUTS = {
+  staircaseCorrectRun: 'correctRunLength',
+  staircaseIncorrectRun: 'incorrectRunLength',
+  staircaseStepDown: 'stepDown',
+  staircaseStepUp: 'stepUp',
+  staircaseMinISI: 'minISI',
+  staircaseMaxISI: 'maxISI'
+};
+
 // Update custom mode UI to reflect current settings
 function updateCustomModeUI() {
   // Update ISI button selection
@@ -1331,6 +3498,34 @@ function updateCustomModeUI() {
     manualDurationValue.textContent = customModeSettings.sessionDuration;
   }
   
+  // Update constrain-sum toggle
+  const constrainSumTo9Toggle = document.getElementById('constrainSumTo9');
+  if (constrainSumTo9Toggle) {
+    constrainSumTo9Toggle.checked = customModeSettings.constrainSumTo9;
+  }
+  
+  // Update staircase inputs
+  Object.keys(STAIRCASE_INPUTS).forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.value = customModeSettings.staircase[STAIRCASE_INPUTS[id]];
+    }
+  });
+  
+  // Update adaptive algorithm (target accuracy only matters for the non-run algorithms)
+  const adaptiveAlgorithmSelect = document.getElementById('adaptiveAlgorithm');
+  const targetAccuracyInput = document.getElementById('targetAccuracy');
+  const targetAccuracyControls = document.getElementById('targetAccuracyControls');
+  if (adaptiveAlgorithmSelect) {
+    adaptiveAlgorithmSelect.value = customModeSettings.adaptiveAlgorithm;
+  }
+  if (targetAccuracyInput) {
+    targetAccuracyInput.value = Math.round(customModeSettings.targetAccuracy * 100);
+  }
+  if (targetAccuracyControls) {
+    targetAccuracyControls.style.display = customModeSettings.adaptiveAlgorithm === 'run' ? 'none' : 'flex';
+  }
+  
   // Update global variables
   selectedISI = customModeSettings.selectedISI;
   sessionDuration = customModeSettings.sessionDuration;
@@ -1427,22 +3622,154 @@ function updateAudioSpeedUI() {
   }
 }
 
+// Update operation UI
+function updateOperationUI() {
+  const operationSelect = document.getElementById('operationSelect');
+  const offsetSelect = document.getElementById('offsetSelect');
+  const offsetControls = document.getElementById('offsetControls');
+  const operationExample = document.getElementById('operationExample');
+  const isAddition = operationSettings.operation === 'add';
+  
+  if (operationSelect) operationSelect.value = operationSettings.operation;
+  if (offsetSelect) offsetSelect.value = operationSettings.offset;
+  if (offsetControls) offsetControls.style.display = isAddition ? 'flex' : 'none';
+  
+  if (operationExample) {
+    const task = { nbackValue: 1, operation: operationSettings.operation, offset: isAddition ? operationSettings.offset : 0 };
+    const range = getAnswerRange(task);
+    const answer = calculateNbackAnswer(5, [3, 5], 1, task);
+    operationExample.textContent = `Example: previous 3, current 5 → answer ${answer}. Answers range from ${range.min} to ${range.max}.`;
+  }
+  
+  // The answer keys follow the operation's answer range
+  updateKeybindingUI();
+}
+
+// Update sequence rules UI
+function updateSequenceRulesUI() {
+  const allowAASlider = document.getElementById('allowAASlider');
+  const allowAAValue = document.getElementById('allowAAValue');
+  const allowABASlider = document.getElementById('allowABASlider');
+  const allowABAValue = document.getElementById('allowABAValue');
+  const maxAnswerRepeats = document.getElementById('maxAnswerRepeats');
+  const forbidIdenticalSumRuns = document.getElementById('forbidIdenticalSumRuns');
+  const answerDistribution = document.getElementById('answerDistribution');
+  
+  if (allowAASlider && allowAAValue) {
+    allowAASlider.value = sequenceRulesSettings.allowAAProbability;
+    allowAAValue.textContent = `${Math.round(sequenceRulesSettings.allowAAProbability * 100)}%`;
+  }
+  if (allowABASlider && allowABAValue) {
+    allowABASlider.value = sequenceRulesSettings.allowABAProbability;
+    allowABAValue.textContent = `${Math.round(sequenceRulesSettings.allowABAProbability * 100)}%`;
+  }
+  if (maxAnswerRepeats) maxAnswerRepeats.value = sequenceRulesSettings.maxAnswerRepeats;
+  if (forbidIdenticalSumRuns) forbidIdenticalSumRuns.checked = sequenceRulesSettings.forbidIdenticalSumRuns;
+  if (answerDistribution) answerDistribution.value = sequenceRulesSettings.answerDistribution;
+}
+
+// Per-ear stat cards on the results screen
+function updateEarAccuracyDisplay(earAccuracy) {
+  const earAccuracyContainer = document.getElementById('earAccuracy');
+  if (!earAccuracyContainer) return;
+  
+  earAccuracyContainer.innerHTML = '';
+  earAccuracyContainer.style.display = earAccuracy ? '' : 'none';
+  if (!earAccuracy) return;
+  
+  ['left', 'right'].filter(ear => earAccuracy[ear]).forEach(ear => {
+    const result = earAccuracy[ear];
+    const card = document.createElement('div');
+    card.className = 'stat-card';
+    card.innerHTML = `
+      <div class="stat-label">${ear === 'left' ? 'Left' : 'Right'} Ear Accuracy</div>
+      <div class="stat-value">${result.accuracy}%<span class="unit">${result.correct}/${result.total}</span></div>
+    `;
+    earAccuracyContainer.appendChild(card);
+  });
+}
+
+// Cross-modal stat cards on the results screen
+function updateModalityBreakdownDisplay(breakdown) {
+  const modalityBreakdownContainer = document.getElementById('modalityBreakdown');
+  if (!modalityBreakdownContainer) return;
+  
+  modalityBreakdownContainer.innerHTML = '';
+  modalityBreakdownContainer.style.display = breakdown ? '' : 'none';
+  if (!breakdown) return;
+  
+  const groups = [
+    ['auditory', 'Spoken Digits'],
+    ['visual', 'Shown Digits'],
+    ['switch', 'After a Modality Switch'],
+    ['repeat', 'Same Modality Again']
+  ];
+  groups.forEach(([key, label]) => {
+    const result = breakdown[key];
+    const card = document.createElement('div');
+    card.className = 'stat-card';
+    card.innerHTML = `
+      <div class="stat-label">${label}</div>
+      <div class="stat-value">${result.accuracy}%<span class="unit">${result.correct}/${result.total}</span></div>
+      <div class="text-xs text-muted">${result.meanResponseTime !== null ? `${result.meanResponseTime}ms mean correct response` : 'No correct responses'}</div>
+    `;
+    modalityBreakdownContainer.appendChild(card);
+  });
+}
+
 // Add current session to history
-function addSessionToHistory() {
+function addSessionToHistory(summary) {
   if (sessionHistory.length === 0) return;
   
   // Only record sessions with 50 or more questions answered
-  if (totalAttempts < 50) return;
+  if (summary.totalAttempts < 50) return;
   
   const sessionData = {
     date: new Date().toISOString(),
-    totalCorrect: totalCorrect,
-    totalAttempts: totalAttempts,
-    accuracy: totalAttempts > 0 ? Math.round((totalCorrect / totalAttempts) * 100) : 0,
-    sessionDuration: sessionDuration,
-    lowestISI: lowestISI,
+    totalCorrect: summary.totalCorrect,
+    totalAttempts: summary.totalAttempts,
+    accuracy: summary.accuracy,
+    sessionDuration: summary.sessionDuration,
+    lowestISI: summary.lowestISI,
     mode: isStandardMode ? 'Standard' : isManualMode ? 'Manual' : 'Custom',
-    nbackValue: nbackValue,
+    nbackValue: summary.nbackValue,
+    seed: summary.seed,
+    sequenceRules: summary.sequenceRules,
+    constrainSumTo9: summary.constrainSumTo9,
+    staircase: summary.staircase,
+    adaptiveAlgorithm: summary.adaptiveAlgorithm,
+    targetAccuracy: summary.targetAccuracy,
+    thresholdISI: summary.thresholdISI,
+    trainingTime: summary.trainingTime, // seconds actually trained (pauses excluded)
+    pausedTime: summary.pausedTime,
+    pauses: summary.pauses,
+    operation: summary.operation,
+    offset: summary.offset,
+    modality: presentationSettings.modality,
+    crossModalAnswer: summary.crossModalAnswer,
+    modalityBreakdown: summary.modalityBreakdown, // mixed sessions: by modality and switch/repeat
+    visual: presentationSettings.modality !== 'auditory' ? {
+      fontSize: presentationSettings.fontSize,
+      displayDuration: presentationSettings.displayDuration,
+      positionJitter: presentationSettings.positionJitter
+    } : undefined,
+    voicePack: voiceSettings.pack,
+    noise: sessionNoise, // { type, snr } - null when no background noise played
+    spatial: summary.spatial,
+    earAccuracy: summary.earAccuracy,
+    onsetTiming: summary.onsetTiming, // measured vs intended onsets
+    stimulusTiming: summary.stimulusTiming, // measured digit lengths and the time left after them
+    attemptSummary: summary.attemptSummary, // unanswered trials, erased wrong answers, blocked input, first-key latency
+    // Output latency taken off the response times - calibrated false when the device was never calibrated
+    latency: summary.outputLatency !== null ? {
+      profile: getActiveLatencyProfile().name,
+      value: summary.outputLatency,
+      calibrated: getActiveLatencyProfile().latency !== null
+    } : undefined,
+    inputPolicy: Object.assign({}, inputPolicySettings), // strict input / late answers / input block in effect
+    numberpad: useNumberPad ? Object.assign({}, numberpadSettings) : undefined, // layout, when answered on the numberpad
+    // Mixed sessions keep the voice that spoke each trial
+    trialVoices: voiceSettings.pack === 'mixed' ? sessionHistory.map(trial => trial.voice) : undefined,
     trials: sessionHistory.length,
     averageResponseTime: calculateAverageResponseTime(),
     consecutiveCorrectMax: Math.max(...Array.from({length: sessionHistory.length}, (_, i) => {
@@ -1580,6 +3907,11 @@ function formatTime(milliseconds) {
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 }
 
+// Seconds a stored session actually trained - older records only have the planned length (minutes)
+function getTrainingSeconds(session) {
+  return session.trainingTime ?? session.sessionDuration * 60;
+}
+
 // Update progress display
 function updateProgressDisplay() {
   if (allSessions.length === 0) {
@@ -1594,6 +3926,12 @@ function updateProgressDisplay() {
   // Get selected mode filter
   const modeFilter = document.getElementById('modeFilter');
   const selectedMode = modeFilter ? modeFilter.value : 'all';
+  const operationFilter = document.getElementById('operationFilter');
+  const selectedOperation = operationFilter ? operationFilter.value : 'all';
+  const modalityFilter = document.getElementById('modalityFilter');
+  const selectedModality = modalityFilter ? modalityFilter.value : 'all';
+  const scoringFilter = document.getElementById('scoringFilter');
+  const selectedScoring = scoringFilter ? scoringFilter.value : 'all';
   
   // Filter sessions to only include those with 50+ questions and selected mode
   let validSessions = allSessions.filter(session => session.totalAttempts >= 50);
@@ -1602,12 +3940,28 @@ function updateProgressDisplay() {
     validSessions = validSessions.filter(session => session.mode === selectedMode);
   }
   
+  // Sessions saved before operations existed were all addition
+  if (selectedOperation !== 'all') {
+    validSessions = validSessions.filter(session => (session.operation || 'add') === selectedOperation);
+  }
+  
+  // Sessions saved before the visual mode existed were all auditory
+  if (selectedModality !== 'all') {
+    validSessions = validSessions.filter(session => (session.modality || 'auditory') === selectedModality);
+  }
+  
+  // Sessions saved before the input rules were configurable used strict input
+  if (selectedScoring !== 'all') {
+    const strict = selectedScoring === 'strict';
+    validSessions = validSessions.filter(session => (getScoringLabel(session) === 'Strict input') === strict);
+  }
+  
   if (validSessions.length === 0) {
     // Show no valid sessions message
     document.getElementById('totalSessions').textContent = '0';
     document.getElementById('totalQuestions').textContent = '0';
     document.getElementById('avgAccuracy').textContent = '0%';
-    document.getElementById('recentSessionsList').innerHTML = '<p class="text-muted text-center py-8">No valid sessions found for the selected mode. Complete a session with at least 50 questions to see progress!</p>';
+    document.getElementById('recentSessionsList').innerHTML = '<p class="text-muted text-center py-8">No valid sessions found for the selected filters. Complete a session with at least 50 questions to see progress!</p>';
     return;
   }
   
@@ -1619,7 +3973,7 @@ function updateProgressDisplay() {
   // Calculate additional stats using only valid sessions
   const avgResponseTime = validSessions.length > 0 ? Math.round(validSessions.reduce((sum, session) => sum + session.averageResponseTime, 0) / validSessions.length) : 0;
   const bestAccuracy = validSessions.length > 0 ? Math.max(...validSessions.map(session => session.accuracy)) : 0;
-  const totalTime = validSessions.reduce((sum, session) => sum + session.sessionDuration, 0);
+  const totalTime = validSessions.reduce((sum, session) => sum + getTrainingSeconds(session), 0) * 1000;
   const avgSessionTime = validSessions.length > 0 ? Math.round(totalTime / validSessions.length) : 0;
   
   document.getElementById('totalSessions').textContent = totalSessions;
@@ -1654,7 +4008,7 @@ function updateProgressDisplay() {
     
     sessionItem.innerHTML = `
       <div class="flex justify-between items-center">
-        <div class="font-medium">${session.mode} Mode (${session.nbackValue || 1}-back)</div>
+        <div class="font-medium">${session.mode} Mode (${session.modality === 'visual' ? 'PVSAT' : session.modality === 'mixed' ? 'Cross-modal' : 'PASAT'}, ${session.nbackValue || 1}-back, ${getOperationLabel(session.operation || 'add', session.offset || 0)})${session.seed !== undefined ? ` <span class="text-gray-500 text-sm">Seed ${session.seed}</span>` : ''}${session.noise ? ` <span class="text-gray-500 text-sm">${getNoiseLabel(session.noise)}</span>` : ''}${isUncalibratedSession(session) ? ' <span class="text-gray-500 text-sm" title="Response times include the audio output delay">Uncalibrated</span>' : ''} <span class="text-gray-500 text-sm">${getScoringLabel(session)}</span></div>
         <div class="text-gray-600">${date} at ${time}</div>
       </div>
       <div class="grid grid-cols-4 gap-4 mt-2 text-sm">
@@ -1668,7 +4022,7 @@ function updateProgressDisplay() {
         </div>
         <div>
           <div class="text-gray-500">Lowest ISI</div>
-          <div class="font-semibold">${session.lowestISI}ms</div>
+          <div class="font-semibold">${session.lowestISI}ms${session.thresholdISI ? ` <span class="text-gray-500">(threshold ${session.thresholdISI}ms)</span>` : ''}</div>
         </div>
         <div>
           <div class="text-gray-500">Avg Response</div>
@@ -1834,6 +4188,37 @@ window.addEventListener('DOMContentLoaded', function() {
   // Load audio speed settings
   loadAudioSpeedSettings();
   
+  // Load operation settings
+  loadOperationSettings();
+  
+  // Load sequence rules
+  loadSequenceRulesSettings();
+  
+  // Load pause settings
+  loadPauseSettings();
+  loadInputPolicySettings();
+  
+  // Load presentation settings (auditory / visual)
+  loadPresentationSettings();
+  
+  // Load ear presentation settings
+  loadSpatialSettings();
+  
+  // Load background noise settings (the noise file arrives from IndexedDB)
+  loadNoiseSettings();
+  
+  // Load output latency profiles
+  loadLatencySettings();
+  
+  // Load answer key bindings
+  loadKeybindingSettings();
+  
+  // Load numberpad layout
+  loadNumberpadSettings();
+  
+  // Load voice settings (the voice list itself arrives with the manifest)
+  loadVoiceSettings();
+  
   // Load saved theme preference
   loadThemePreference();
   
@@ -1877,14 +4262,15 @@ window.addEventListener('DOMContentLoaded', function() {
 
 
   
-  // Initialize Howler audio system
-  initializeHowlerAudio();
+  // Initialize Howler audio system (and the beep, which may come from a voice sprite)
+  audioSetupPromise = initializeHowlerAudio();
   
-  // Initialize beep audio system
-  initializeBeepAudio();
-  
-  // Hide the status message div (no feedback)
+  // Hidden until a session starts with feedback turned on (see startSession)
   statusMessage.style.display = 'none';
+  
+  // Tabs and interval choices are divs - make them reachable and usable from the keyboard
+  document.querySelectorAll('.tab').forEach(makeKeyboardOperable);
+  numberpad.addEventListener('keydown', moveNumberpadFocus);
 
   // Set initial mode description
         modeDescription.innerHTML = '<p><strong>Standard Mode:</strong> The training will last for 20 minutes with an initial interval of 3 seconds between numbers. The timing will adjust automatically based on your performance.</p>';
@@ -1895,6 +4281,31 @@ window.addEventListener('DOMContentLoaded', function() {
   // Update audio speed UI to reflect loaded settings
   updateAudioSpeedUI();
   
+  // Update operation UI to reflect loaded settings
+  updateOperationUI();
+  
+  // Update sequence rules UI to reflect loaded settings
+  updateSequenceRulesUI();
+  
+  // Update pause UI to reflect loaded settings
+  updatePauseUI();
+  updateInputPolicyUI();
+  
+  // Update presentation UI to reflect loaded settings
+  updatePresentationUI();
+  
+  // Update ear presentation UI to reflect loaded settings
+  updateSpatialUI();
+  
+  // Update background noise UI to reflect loaded settings
+  updateNoiseUI();
+  loadBackgroundNoiseFile();
+  
+  // Update output latency UI to reflect loaded profiles
+  updateLatencyUI();
+  
+  updateNumberpadLayoutUI();
+  
   // CRITICAL FIX: Ensure standard mode is properly set after loading settings
   updateStandardModeUI();
   
@@ -1966,8 +4377,7 @@ window.addEventListener('DOMContentLoaded', function() {
     
     // In manual mode, set the ISI to the currently selected value and keep it constant
     if (selectedISI) {
-      currentISIValue = selectedISI;
-      currentISI.textContent = currentISIValue;
+      currentISI.textContent = selectedISI;
     }
     
     modeDescription.innerHTML = '<p><strong>Manual Mode:</strong> The timing interval will stay fixed at your selected setting throughout the entire training session, regardless of your performance.</p>';
@@ -1992,6 +4402,30 @@ window.addEventListener('DOMContentLoaded', function() {
       updateProgressDisplay(); // Update the display when mode filter changes
     });
   }
+  
+  // Operation filter event listener
+  const operationFilter = document.getElementById('operationFilter');
+  if (operationFilter) {
+    operationFilter.addEventListener('change', function() {
+      updateProgressDisplay();
+    });
+  }
+  
+  // Modality filter event listener (PASAT vs PVSAT)
+  const modalityFilter = document.getElementById('modalityFilter');
+  if (modalityFilter) {
+    modalityFilter.addEventListener('change', function() {
+      updateProgressDisplay();
+    });
+  }
+  
+  // Scoring filter event listener (strict input vs classic scoring)
+  const scoringFilter = document.getElementById('scoringFilter');
+  if (scoringFilter) {
+    scoringFilter.addEventListener('change', function() {
+      updateProgressDisplay();
+    });
+  }
 
   // Close progress modal event listeners
   const closeProgressModal = document.getElementById('closeProgressModal');
@@ -2049,15 +4483,55 @@ window.addEventListener('DOMContentLoaded', function() {
           localStorage.setItem('pasatManualModeSettings', JSON.stringify(manualModeSettings));
         }
         
-        // If manual mode is active, immediately update currentISIValue to keep it constant
+        // If manual mode is active, immediately show the fixed interval
         if (isManualMode) {
-          currentISIValue = selectedISI;
-          currentISI.textContent = currentISIValue;
+          currentISI.textContent = selectedISI;
         }
       }
     });
   });
 
+  // Constrain Sum to 9 toggle (custom mode)
+  const constrainSumTo9Toggle = document.getElementById('constrainSumTo9');
+  if (constrainSumTo9Toggle) {
+    constrainSumTo9Toggle.addEventListener('change', function() {
+      customModeSettings.constrainSumTo9 = this.checked;
+      saveCustomModeSettings();
+    });
+  }
+
+  // Adaptive staircase inputs (custom mode)
+  Object.keys(STAIRCASE_INPUTS).forEach(id => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.addEventListener('change', function() {
+      const staircase = Object.assign({}, customModeSettings.staircase);
+      staircase[STAIRCASE_INPUTS[id]] = this.value;
+      customModeSettings.staircase = normalizeStaircase(staircase);
+      updateCustomModeUI(); // Show the clamped values
+      saveCustomModeSettings();
+    });
+  });
+
+  // Adaptive algorithm (custom mode)
+  const adaptiveAlgorithmSelect = document.getElementById('adaptiveAlgorithm');
+  if (adaptiveAlgorithmSelect) {
+    adaptiveAlgorithmSelect.addEventListener('change', function() {
+      customModeSettings.adaptiveAlgorithm = this.value;
+      updateCustomModeUI();
+      saveCustomModeSettings();
+    });
+  }
+
+  const targetAccuracyInput = document.getElementById('targetAccuracy');
+  if (targetAccuracyInput) {
+    targetAccuracyInput.addEventListener('change', function() {
+      customModeSettings.targetAccuracy = normalizeTargetAccuracy(parseFloat(this.value) / 100);
+      updateCustomModeUI(); // Show the clamped value
+      saveCustomModeSettings();
+    });
+  }
+
   // Set up duration slider
   durationSlider.addEventListener('input', function() {
     sessionDuration = parseInt(this.value);
@@ -2198,13 +4672,14 @@ window.addEventListener('DOMContentLoaded', function() {
       if (useNumberPad) {
         answerInput.style.display = 'none';
         numberpad.style.display = 'grid';
+        updateNumberpadSize();
         // Clear any pending input
         answerInput.value = '';
       } else {
         answerInput.style.display = 'block';
         numberpad.style.display = 'none';
         // Clear button selections
-        numberpadButtons.forEach(btn => btn.classList.remove('selected'));
+        clearNumberpadSelection();
         answerInput.focus();
       }
     }
@@ -2275,67 +4750,390 @@ window.addEventListener('DOMContentLoaded', function() {
     });
   }
 
-  // Register button handlers
-function handleButtonInteraction(e) {
-    e.preventDefault();
-
-    // [새로 추가] 전환멈춤 구간 체크
-    if (Date.now() < inputBlockedUntil) {
-      numberpadButtons.forEach(b => b.classList.remove('selected'));
-      return;
-    }
+  // Operation controls event listeners
+  const operationSelect = document.getElementById('operationSelect');
+  const offsetSelect = document.getElementById('offsetSelect');
+  
+  if (operationSelect) {
+    operationSelect.addEventListener('change', function() {
+      operationSettings.operation = this.value;
+      updateOperationUI();
+      saveOperationSettings();
+    });
+  }
+  
+  if (offsetSelect) {
+    offsetSelect.addEventListener('change', function() {
+      operationSettings.offset = parseInt(this.value) || 0;
+      updateOperationUI();
+      saveOperationSettings();
+    });
+  }
 
-    // 클릭 가능 상태인지 확인
-    if (!canProcessButtonClick()) {
-      numberpadButtons.forEach(b => b.classList.remove('selected'));
-      return;
-    }
+  // Sequence rules controls event listeners
+  const allowAASlider = document.getElementById('allowAASlider');
+  const allowABASlider = document.getElementById('allowABASlider');
+  const maxAnswerRepeatsInput = document.getElementById('maxAnswerRepeats');
+  const forbidIdenticalSumRunsToggle = document.getElementById('forbidIdenticalSumRuns');
+  const answerDistributionSelect = document.getElementById('answerDistribution');
+  
+  if (allowAASlider) {
+    allowAASlider.addEventListener('input', function() {
+      sequenceRulesSettings.allowAAProbability = parseFloat(this.value);
+      updateSequenceRulesUI();
+      saveSequenceRulesSettings();
+    });
+  }
+  
+  if (allowABASlider) {
+    allowABASlider.addEventListener('input', function() {
+      sequenceRulesSettings.allowABAProbability = parseFloat(this.value);
+      updateSequenceRulesUI();
+      saveSequenceRulesSettings();
+    });
+  }
+  
+  if (maxAnswerRepeatsInput) {
+    maxAnswerRepeatsInput.addEventListener('input', function() {
+      const value = parseInt(this.value) || 0;
+      const clampedValue = Math.max(0, Math.min(10, value));
+      
+      if (clampedValue !== value) {
+        this.value = clampedValue;
+      }
+      
+      sequenceRulesSettings.maxAnswerRepeats = clampedValue;
+      saveSequenceRulesSettings();
+    });
+  }
+  
+  if (forbidIdenticalSumRunsToggle) {
+    forbidIdenticalSumRunsToggle.addEventListener('change', function() {
+      sequenceRulesSettings.forbidIdenticalSumRuns = this.checked;
+      saveSequenceRulesSettings();
+    });
+  }
+  
+  if (answerDistributionSelect) {
+    answerDistributionSelect.addEventListener('change', function() {
+      sequenceRulesSettings.answerDistribution = this.value;
+      saveSequenceRulesSettings();
+    });
+  }
 
-    const btn = e.currentTarget;
-    const value = parseInt(btn.getAttribute('data-value'));
 
-    // [중요] 엄격 모드거나 늦은 답변이면 여기서 멈춤
-    if (shouldIgnoreInput(value)) {
-      numberpadButtons.forEach(b => b.classList.remove('selected'));
+  // Main event listeners
+  startTraining.addEventListener('click', startSessionWithPreflight);
+  endTraining.addEventListener('click', endSession);
+  
+  // Audio preflight: start with the replacements, or go back to the settings
+  const preflightStart = document.getElementById('preflightStart');
+  const preflightBack = document.getElementById('preflightBack');
+  if (preflightStart) {
+    preflightStart.addEventListener('click', function() {
+      preflightCheckedFor = getPreflightKey();
+      startSession();
+    });
+  }
+  if (preflightBack) {
+    preflightBack.addEventListener('click', function() {
+      document.getElementById('preflightScreen').style.display = 'none';
+      descriptionScreen.style.display = 'block';
+    });
+  }
+  
+  // Pause / resume buttons
+  const pauseTraining = document.getElementById('pauseTraining');
+  const resumeTraining = document.getElementById('resumeTraining');
+  if (pauseTraining) {
+    pauseTraining.addEventListener('click', () => pauseSession('manual'));
+  }
+  if (resumeTraining) {
+    resumeTraining.addEventListener('click', resumeSession);
+  }
+  
+  // My Voice: record / play / import per digit
+  renderMyVoiceDigits();
+  updateMyVoiceUI();
+  const myVoiceDigits = document.getElementById('myVoiceDigits');
+  if (myVoiceDigits) {
+    myVoiceDigits.addEventListener('click', function(e) {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const digit = parseInt(button.closest('.my-voice-digit').getAttribute('data-digit'));
+      if (button.getAttribute('data-action') === 'record') {
+        if (voiceRecorder && voiceRecorder.digit === digit) {
+          stopDigitRecording();
+        } else {
+          startDigitRecording(digit);
+        }
+      } else if (button.getAttribute('data-action') === 'play') {
+        playCustomDigit(digit);
+      }
+    });
+    myVoiceDigits.addEventListener('change', function(e) {
+      if (e.target.getAttribute('data-action') !== 'import') return;
+      const digit = parseInt(e.target.closest('.my-voice-digit').getAttribute('data-digit'));
+      importDigitFile(digit, e.target.files[0]);
+      e.target.value = ''; // Allow importing the same file again
+    });
+  }
+  
+  const deleteMyVoice = document.getElementById('deleteMyVoice');
+  if (deleteMyVoice) {
+    deleteMyVoice.addEventListener('click', function() {
+      if (confirm('Delete all of your recorded digits?')) {
+        deleteCustomVoicePack();
+      }
+    });
+  }
+  
+  // Voice pack setting
+  const voicePackSelect = document.getElementById('voicePack');
+  if (voicePackSelect) {
+    voicePackSelect.addEventListener('change', function() {
+      voiceSettings.pack = this.value;
+      saveVoiceSettings();
+    });
+  }
+  
+  // Presentation settings (auditory / visual)
+  const modalitySelect = document.getElementById('modality');
+  const visualFontSizeSlider = document.getElementById('visualFontSize');
+  const visualDurationSelect = document.getElementById('visualDuration');
+  const visualJitterToggle = document.getElementById('visualJitter');
+  if (modalitySelect) {
+    modalitySelect.addEventListener('change', function() {
+      presentationSettings.modality = MODALITIES.includes(this.value) ? this.value : 'auditory';
+      savePresentationSettings();
+      updatePresentationUI();
+    });
+  }
+  const crossModalAnswerToggle = document.getElementById('crossModalAnswer');
+  if (crossModalAnswerToggle) {
+    crossModalAnswerToggle.addEventListener('change', function() {
+      presentationSettings.crossModalAnswer = this.checked;
+      savePresentationSettings();
+    });
+  }
+  if (visualFontSizeSlider) {
+    visualFontSizeSlider.addEventListener('input', function() {
+      presentationSettings.fontSize = parseInt(this.value);
+      savePresentationSettings();
+      updatePresentationUI();
+    });
+  }
+  if (visualDurationSelect) {
+    visualDurationSelect.addEventListener('change', function() {
+      presentationSettings.displayDuration = parseInt(this.value);
+      savePresentationSettings();
+    });
+  }
+  if (visualJitterToggle) {
+    visualJitterToggle.addEventListener('change', function() {
+      presentationSettings.positionJitter = this.checked;
+      savePresentationSettings();
+    });
+  }
+  
+  // Ear presentation settings
+  const spatialModeSelect = document.getElementById('spatialMode');
+  const spatialDistractorsToggle = document.getElementById('spatialDistractors');
+  if (spatialModeSelect) {
+    spatialModeSelect.addEventListener('change', function() {
+      spatialSettings = normalizeSpatial({ mode: this.value, distractors: spatialSettings.distractors });
+      saveSpatialSettings();
+      updateSpatialUI();
+    });
+  }
+  if (spatialDistractorsToggle) {
+    spatialDistractorsToggle.addEventListener('change', function() {
+      spatialSettings = normalizeSpatial({ mode: spatialSettings.mode, distractors: this.checked });
+      saveSpatialSettings();
+      updateSpatialUI();
+    });
+  }
+  
+  // Background noise settings
+  const noiseTypeSelect = document.getElementById('noiseType');
+  const noiseSnrSlider = document.getElementById('noiseSnrSlider');
+  const noiseFileInput = document.getElementById('noiseFile');
+  if (noiseTypeSelect) {
+    noiseTypeSelect.addEventListener('change', function() {
+      noiseSettings.type = NOISE_TYPES[this.value] ? this.value : 'off';
+      saveNoiseSettings();
+      updateNoiseUI();
+    });
+  }
+  if (noiseSnrSlider) {
+    noiseSnrSlider.addEventListener('input', function() {
+      noiseSettings.snr = parseInt(this.value);
+      saveNoiseSettings();
+      updateNoiseUI();
+    });
+  }
+  if (noiseFileInput) {
+    noiseFileInput.addEventListener('change', function() {
+      importNoiseFile(this.files[0]);
+      this.value = ''; // Allow choosing the same file again
+    });
+  }
+  
+  // Numberpad layout (applies from the next session)
+  const numberpadLayoutSelect = document.getElementById('numberpadLayout');
+  const numberpadShuffleSelect = document.getElementById('numberpadShuffle');
+  if (numberpadLayoutSelect) {
+    numberpadLayoutSelect.addEventListener('change', function() {
+      numberpadSettings.layout = NUMBERPAD_LAYOUTS[this.value] ? this.value : 'ascending';
+      saveNumberpadSettings();
+      updateNumberpadLayoutUI();
+    });
+  }
+  if (numberpadShuffleSelect) {
+    numberpadShuffleSelect.addEventListener('change', function() {
+      numberpadSettings.shuffle = this.value === 'trial' ? 'trial' : 'session';
+      saveNumberpadSettings();
+    });
+  }
+  
+  // Answer keys: configuration, and one keystroke per answer during sessions
+  const showKeybindingsToggle = document.getElementById('showKeybindings');
+  const resetKeybindingsButton = document.getElementById('resetKeybindings');
+  if (showKeybindingsToggle) {
+    showKeybindingsToggle.addEventListener('change', function() {
+      keybindingSettings.show = this.checked;
+      keybindingCapture = null;
+      saveKeybindingSettings();
+      updateKeybindingUI();
+    });
+  }
+  if (resetKeybindingsButton) {
+    resetKeybindingsButton.addEventListener('click', function() {
+      keybindingSettings.bindings = {};
+      keybindingCapture = null;
+      saveKeybindingSettings();
+      updateKeybindingUI();
+    });
+  }
+  document.addEventListener('keydown', function(e) {
+    if (keybindingCapture !== null) {
+      captureAnswerKey(e);
       return;
     }
-
-    // 기존 버튼 선택 해제 및 현재 버튼 선택
-    numberpadButtons.forEach(b => b.classList.remove('selected'));
-    btn.classList.add('selected');
-
-    // 정답이면 즉시 처리
-    if (shouldProcessAnswerImmediately(value)) {
-      answerProcessed = true;
-      const success = processAnswer(value);
-      
-      if (!success) {
-        answerProcessed = false;
-        numberpadButtons.forEach(b => b.classList.remove('selected'));
-      }
-    } else {
-      // 오답이면 빨간색 표시만 하고 대기
-      btn.classList.add('incorrect-selection');
-      setTimeout(() => {
-        btn.classList.remove('incorrect-selection');
-      }, 300);
+    if (!isSessionActive() || e.repeat || e.ctrlKey || e.altKey || e.metaKey) return;
+    const value = keybindingSettings.bindings[e.code];
+    if (value !== undefined) {
+      e.preventDefault(); // Keep the key out of the answer field
+      handleAnswerKey(value);
     }
+  });
+  
+  // Output latency profiles and calibration
+  const latencyProfileSelect = document.getElementById('latencyProfile');
+  const addLatencyProfileButton = document.getElementById('addLatencyProfile');
+  const deleteLatencyProfileButton = document.getElementById('deleteLatencyProfile');
+  const startCalibrationButton = document.getElementById('startCalibration');
+  const cancelCalibrationButton = document.getElementById('cancelCalibration');
+  const calibrationTapButton = document.getElementById('calibrationTap');
+  if (latencyProfileSelect) {
+    latencyProfileSelect.addEventListener('change', function() {
+      if (latencySettings.profiles[this.value]) {
+        latencySettings.activeProfile = this.value;
+        saveLatencySettings();
+      }
+      setLatencyStatus('');
+      updateLatencyUI();
+    });
   }
-
-
-
-
-
-  // [이 부분이 빠져있었습니다! 함수를 실제 버튼에 연결하는 코드]
-  numberpadButtons.forEach((button) => {
-    button.addEventListener('mousedown', handleButtonInteraction);
-    button.addEventListener('touchstart', handleButtonInteraction, {passive: false});
+  if (addLatencyProfileButton) {
+    addLatencyProfileButton.addEventListener('click', function() {
+      addLatencyProfile(prompt('Name of the output device (e.g. Bluetooth headphones):'));
+    });
+  }
+  if (deleteLatencyProfileButton) {
+    deleteLatencyProfileButton.addEventListener('click', function() {
+      if (confirm(`Delete the profile "${getActiveLatencyProfile().name}"?`)) {
+        deleteLatencyProfile();
+      }
+    });
+  }
+  if (startCalibrationButton) {
+    startCalibrationButton.addEventListener('click', startLatencyCalibration);
+  }
+  if (cancelCalibrationButton) {
+    cancelCalibrationButton.addEventListener('click', () => finishLatencyCalibration(true));
+  }
+  if (calibrationTapButton) {
+    // pointerdown: a click event would add the press-and-release time to every tap
+    calibrationTapButton.addEventListener('pointerdown', function(e) {
+      e.preventDefault();
+      recordCalibrationTap();
+    });
+  }
+  document.addEventListener('keydown', function(e) {
+    if (calibration && e.code === 'Space' && !e.repeat) {
+      e.preventDefault();
+      recordCalibrationTap();
+    }
   });
+  
+  // Pause settings
+  const autoPauseOnHideToggle = document.getElementById('autoPauseOnHide');
+  const resumeCountdownSelect = document.getElementById('resumeCountdownSelect');
+  if (autoPauseOnHideToggle) {
+    autoPauseOnHideToggle.addEventListener('change', function() {
+      pauseSettings.autoPauseOnHide = this.checked;
+      savePauseSettings();
+    });
+  }
+  if (resumeCountdownSelect) {
+    resumeCountdownSelect.addEventListener('change', function() {
+      pauseSettings.resumeCountdown = parseInt(this.value) || 0;
+      savePauseSettings();
+    });
+  }
 
+  // Input rules
+  const strictInputToggle = document.getElementById('strictInput');
+  const ignoreLateAnswersToggle = document.getElementById('ignoreLateAnswers');
+  const lateAnswerWindowSelect = document.getElementById('lateAnswerWindow');
+  const inputBlockDurationSelect = document.getElementById('inputBlockDuration');
+  if (strictInputToggle) {
+    strictInputToggle.addEventListener('change', function() {
+      inputPolicySettings.strictInput = this.checked;
+      saveInputPolicySettings();
+    });
+  }
+  if (ignoreLateAnswersToggle) {
+    ignoreLateAnswersToggle.addEventListener('change', function() {
+      inputPolicySettings.ignoreLateAnswers = this.checked;
+      saveInputPolicySettings();
+      updateInputPolicyUI();
+    });
+  }
+  if (lateAnswerWindowSelect) {
+    lateAnswerWindowSelect.addEventListener('change', function() {
+      inputPolicySettings.lateAnswerWindow = parseInt(this.value) || DEFAULT_INPUT_POLICY.lateAnswerWindow;
+      saveInputPolicySettings();
+    });
+  }
+  if (inputBlockDurationSelect) {
+    inputBlockDurationSelect.addEventListener('change', function() {
+      inputPolicySettings.inputBlockDuration = parseInt(this.value) || 0;
+      saveInputPolicySettings();
+    });
+  }
 
-  // Main event listeners
-  startTraining.addEventListener('click', startSession);
-  endTraining.addEventListener('click', endSession);
+  // Offline support and the update prompt
+  registerServiceWorker();
+  const applyUpdateButton = document.getElementById('applyUpdate');
+  const dismissUpdateButton = document.getElementById('dismissUpdate');
+  if (applyUpdateButton) {
+    applyUpdateButton.addEventListener('click', applyUpdate);
+  }
+  if (dismissUpdateButton) {
+    dismissUpdateButton.addEventListener('click', hideUpdatePrompt);
+  }
 
   // Theme toggle event listener (only on home page)
   const themeToggle = document.getElementById('themeToggle');
@@ -2348,45 +5146,72 @@ function handleButtonInteraction(e) {
     descriptionScreen.style.display = 'block';
   });
 
+  // Replay button - start a new session with the same digit sequence
+  const replaySeed = document.getElementById('replaySeed');
+  if (replaySeed) {
+    replaySeed.addEventListener('click', function() {
+      const seedInput = document.getElementById('sequenceSeed');
+      if (seedInput && sessionEngine) {
+        seedInput.value = sessionEngine.state.seed;
+      }
+      startSessionWithPreflight();
+    });
+  }
+
 // Input handler - 일반 모드 (화면에 표시됨)
   answerInput.addEventListener('input', function(e) {
     
     // [새로 추가] 전환멈춤 구간 체크: 아직 차단 시간이면 입력 무시
-    if (Date.now() < inputBlockedUntil) {
+    if (isSessionActive() && sessionEngine.now() < sessionEngine.state.inputBlockedUntil) {
+      const blockedValue = answerInput.value.trim();
+      sessionEngine.recordInput('blocked', blockedValue && !isNaN(Number(blockedValue)) ? Number(blockedValue) : null);
       answerInput.value = ''; // 입력된 값 지우기
       return;
     }
 
+    // 지운 입력은 정정으로 기록 (남은 값은 아래에서 평소처럼 처리)
+    if (isSessionActive() && e.inputType && e.inputType.startsWith('delete')) {
+      const remaining = answerInput.value.trim();
+      sessionEngine.recordInput('correction', remaining && !isNaN(Number(remaining)) ? Number(remaining) : null);
+    }
+
     // 입력 가능 상태인지 확인
     if (!canProcessButtonClick()) {
       return;
     }
 
-    const typedValue = answerInput.value.trim();
+    let typedValue = answerInput.value.trim();
     
     // 빈 값이면 무시
     if (!typedValue) return;
     
+    // [한 자리 정답] 정답이 항상 한 자리 수이므로 마지막에 누른 숫자만 사용
+    if (isSingleDigitSession() && typedValue.length > 1) {
+      typedValue = typedValue.slice(-1);
+      answerInput.value = typedValue;
+    }
+    
     // 숫자가 아니면 무시
     if (isNaN(Number(typedValue))) {
       answerInput.value = '';
       return;
     }
 
+    const state = sessionEngine.state;
     const currentInputNum = Number(typedValue);
-    const strCorrect = String(correctAnswer);
+    const strCorrect = String(state.correctAnswer);
     const strInput = String(typedValue);
 
+    // 지워지거나 무시되는 값도 시도 기록에는 남김
+    recordAnswerAttempt(currentInputNum, 'typed');
+
     // [엄격 모드 체크]
-    if (STRICT_INPUT_MODE) {
+    if (inputPolicySettings.strictInput) {
       // 정답과 완전히 일치하면 처리
-      if (currentInputNum === correctAnswer) {
-        answerProcessed = true;
-        const success = processAnswer(currentInputNum);
+      if (currentInputNum === state.correctAnswer) {
+        const success = sessionEngine.submitAnswer(currentInputNum);
         if (success) {
           answerInput.value = ''; // 정답 맞췄으니 초기화
-        } else {
-          answerProcessed = false;
         }
         return;
       }
@@ -2402,8 +5227,8 @@ function handleButtonInteraction(e) {
     }
 
     // [늦은 답변 체크]
-    if (IGNORE_LATE_ANSWERS) {
-      if (currentInputNum === previousRoundAnswer && (Date.now() - lastRoundChangeTime < 1500)) {
+    if (inputPolicySettings.ignoreLateAnswers) {
+      if (isLateAnswer(currentInputNum, state.previousRoundAnswer, state.lastRoundChangeTime)) {
         console.log("늦은 답변 무시됨");
         answerInput.value = '';
         return;
@@ -2411,13 +5236,10 @@ function handleButtonInteraction(e) {
     }
 
     // 정답 판별
-    if (currentInputNum === correctAnswer) {
-      answerProcessed = true;
-      const success = processAnswer(currentInputNum);
+    if (currentInputNum === state.correctAnswer) {
+      const success = sessionEngine.submitAnswer(currentInputNum);
       if (success) {
         answerInput.value = ''; // 정답 맞췄으니 초기화
-      } else {
-        answerProcessed = false;
       }
     }
   });
@@ -2434,19 +5256,15 @@ function handleButtonInteraction(e) {
   // Wrong answers wait for timeout
   answerInput.addEventListener('keyup', function(event) {
     if (event.key === 'Enter' && answerInput.value.trim() !== '') {
-      if (!answerProcessed && canProcessButtonClick()) {
+      if (canProcessButtonClick()) {
         const userInput = answerInput.value.trim();
         const userAnswer = Number(userInput);
         
         if (!isNaN(userAnswer) && userInput.length > 0) {
           // Check if this answer is correct
-          if (userAnswer === correctAnswer) {
+          if (userAnswer === sessionEngine.state.correctAnswer) {
             // Correct answer - process immediately
-            answerProcessed = true;
-            const success = processAnswer(userAnswer);
-            if (!success) {
-              answerProcessed = false;
-            }
+            sessionEngine.submitAnswer(userAnswer);
           }
           // Wrong answer - don't process, let timeout handle it
         }
@@ -2478,9 +5296,11 @@ function handleButtonInteraction(e) {
   }
 });
 
-// Handle page visibility changes - no more pausing
+// Handle page visibility changes - optionally pause while the page is hidden
 document.addEventListener('visibilitychange', function() {
-  // Page visibility changes no longer affect training - removed pause functionality
+  if (document.hidden && pauseSettings.autoPauseOnHide && isSessionActive()) {
+    pauseSession('hidden');
+  }
 });
 
 // Cleanup on page unload to prevent memory leaks
@@ -2491,24 +5311,16 @@ window.addEventListener('beforeunload', function() {
   // Beep system cleanup handled in stopAllAudio()
   
   // Clear all timers
-  if (trainingTimerId) {
-    clearInterval(trainingTimerId);
-    trainingTimerId = null;
-  }
-  
-  if (currentIntervalId) {
-    clearTimeout(currentIntervalId);
-    currentIntervalId = null;
+  if (sessionEngine) {
+    sessionEngine.dispose();
   }
   
   // Stop all Howler sounds
   try {
-    for (let i = 1; i <= 9; i++) {
-      if (numberSounds[i]) {
-        numberSounds[i].stop();
-        numberSounds[i].unload();
-      }
-    }
+    getAllNumberSounds().forEach(sound => {
+      sound.stop();
+      sound.unload();
+    });
     
     // Stop and unload beep sound
     if (beepSound) {
@@ -2571,20 +5383,47 @@ function updateFeedbackUI() {
 }
 
 
+// 이전 문제의 정답이 문제가 바뀐 직후(lateAnswerWindow 이내)에 들어왔는지
+function isLateAnswer(value, previousRoundAnswer, lastRoundChangeTime) {
+  return value === previousRoundAnswer &&
+    sessionEngine.now() - lastRoundChangeTime < inputPolicySettings.lateAnswerWindow;
+}
+
+// Log an entered value on the current trial's attempt log, classified the way the input rules will treat it
+// source: 'typed' (the answer field, can still grow into the answer) | 'numberpad' | 'key' (one press is a whole answer)
+function recordAnswerAttempt(value, source) {
+  const state = sessionEngine.state;
+  let type = 'answer';
+  if (!inputPolicySettings.strictInput && inputPolicySettings.ignoreLateAnswers &&
+      isLateAnswer(value, state.previousRoundAnswer, state.lastRoundChangeTime)) {
+    type = 'late';
+  } else if (source === 'typed' && value !== state.correctAnswer && String(state.correctAnswer).startsWith(String(value))) {
+    type = 'partial'; // 두 자리 정답의 앞자리 (아직 입력 중)
+  }
+  sessionEngine.recordInput(type, value);
+}
+
 // [수정된 함수] 입력 검증 (부분 일치 허용 + 정답 없음 방어)
 function shouldIgnoreInput(userInputValue) {
   // 1. 숫자가 아니면 일단 통과 (시스템 처리용)
   if (userInputValue === null || isNaN(userInputValue)) return false;
 
   // 2. [방어] 정답이 아직 생성되지 않은 전환 구간이면 무조건 차단
-  if (correctAnswer === null) {
+  if (!isSessionActive() || sessionEngine.state.correctAnswer === null) {
     return true; 
   }
 
+  const { correctAnswer, previousRoundAnswer, lastRoundChangeTime } = sessionEngine.state;
+
   const numInput = Number(userInputValue);
 
+  // [한 자리 정답] 합 9 제한/차이 연산 -> 정답 범위 밖 입력은 무조건 차단
+  if (isSingleDigitSession() && (numInput < sessionEngine.answerRange.min || numInput > sessionEngine.answerRange.max)) {
+    return true;
+  }
+
   // 3. 엄격 모드 (두 자리 수 입력 문제 해결)
-  if (STRICT_INPUT_MODE) {
+  if (inputPolicySettings.strictInput) {
     // 문자열로 변환해서 비교 (예: 정답 "12", 입력 "1")
     const strInput = String(userInputValue);
     const strCorrect = String(correctAnswer);
@@ -2605,8 +5444,8 @@ function shouldIgnoreInput(userInputValue) {
   }
 
   // 4. 늦은 답변 방지 (기존 로직 유지)
-  if (IGNORE_LATE_ANSWERS) {
-    if (numInput === previousRoundAnswer && (Date.now() - lastRoundChangeTime < 1500)) {
+  if (inputPolicySettings.ignoreLateAnswers) {
+    if (isLateAnswer(numInput, previousRoundAnswer, lastRoundChangeTime)) {
       console.log("늦은 답변 감지됨: 오답 처리 안 함");
       return true; 
     }
@@ -0,0 +1,1369 @@
+// ==========================================
+// Headless PASAT session engine
+// DOM을 전혀 건드리지 않는 세션 진행 엔진입니다.
+// 화면(script.js)은 이벤트를 구독하는 하나의 구독자일 뿐이며,
+// 시계/타이머를 주입하면 브라우저 없이 스크립트나 테스트에서도 세션을 돌릴 수 있습니다.
+// tests/session-engine.test.js가 그렇게 채점/적응형 ISI/타이밍을 확인합니다 (node --test tests/).
+//
+// Events:
+//   trialPresented - { number, trial, voice, ear, modality }  새 숫자가 제시됨 (trial은 정답이 있을 때만)
+//   answerScored   - { trial, correct, source }  source: 'response' | 'timeout'
+//   isiChanged     - { isi, previousISI }
+//   tick           - { remainingTime }
+//   paused         - { reason }                  reason: 'manual' | 'hidden' | ...
+//   resumed        - { pausedFor }
+//   sessionEnded   - summary (see getSummary)
+//
+// 같은 seed로 시작한 세션은 항상 같은 숫자열을 제시합니다 (재현/비교/디버깅용).
+//
+// 각 trial의 attempts에는 화면이 recordInput()으로 알려준 모든 입력이 남습니다.
+// 정답/시간초과로 채점되는 최종 답과 별개로, 지워진 오답이나 차단된 입력까지 확인할 수 있습니다.
+// ==========================================
+
+// Default engine configuration
+const DEFAULT_ENGINE_CONFIG = {
+  startISI: 3000,           // Starting interval between numbers (ms)
+  sessionDuration: 20,      // Session length (minutes)
+  nbackValue: 1,            // N-back setting
+  adaptive: true,           // false = manual mode (ISI stays fixed)
+  inputBlockDuration: 500,  // Input is blocked this long after a number changes (ms)
+  startDelay: 1000,         // Delay before the first number is presented (ms)
+  lookahead: 200,           // Numbers are handed to present() this long before their onset (ms)
+  seed: null,               // Digit sequence seed (null = pick a random one)
+  sequenceRules: null,      // Digit generator rules (null = DEFAULT_SEQUENCE_RULES)
+  constrainSumTo9: false,   // Only generate digits whose N-back sum stays <= 9 (addition only)
+  operation: 'add',         // add | subtract | absDiff
+  offset: 0,                // +N added to the sum (addition only, 0-3)
+  staircase: null,          // Adaptive staircase parameters (null = DEFAULT_STAIRCASE)
+  adaptiveAlgorithm: 'run', // run | weighted | pest | quest (see ADAPTIVE_ALGORITHMS)
+  targetAccuracy: 0.8,      // Accuracy the weighted/PEST/QUEST algorithms aim for
+  voices: null,             // Voice ids to speak with, one drawn per number (null = single default voice)
+  spatial: null,            // Ear presentation { mode, distractors } (null = DEFAULT_SPATIAL, both ears)
+  modality: 'auditory',     // auditory | visual | mixed (each number spoken or shown at random)
+  crossModalAnswer: false,  // mixed only: answer = last spoken digit with last shown digit (1-back across streams)
+  outputLatency: 0          // Audio output delay (ms), taken off the response times of spoken numbers
+};
+
+// Default clock and scheduler (real time)
+const defaultClock = {
+  now: () => Date.now()
+};
+
+const defaultScheduler = {
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id)
+};
+
+// Pick a fresh random seed (unsigned 32-bit integer)
+function createRandomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+// Normalize user input to a seed; returns null if it is not a usable integer
+function parseSeed(value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  const parsed = Number(String(value).trim());
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    return null;
+  }
+  return parsed >>> 0;
+}
+
+// Seeded PRNG (mulberry32) - returns a function with the same contract as Math.random
+function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ==========================================
+// [숫자열 규칙] 설정 화면의 "Sequence Rules"에서 조정합니다.
+// 확률은 0.0 ~ 1.0 사이 (0.1은 10%, 1.0은 100% 허용)
+// 원래 랜덤 확률(1/9)보다 더 낮게 설정하여 "가끔" 나오게 만듭니다.
+const DEFAULT_SEQUENCE_RULES = {
+  allowAAProbability: 0.05,       // A-A: 더할 숫자(N칸 전)와 같은 숫자가 나올 확률 (5->5)
+  allowABAProbability: 0.10,      // A-B-A: 2N칸 전 숫자와 같은 숫자가 나올 확률 (3->8->3)
+  maxAnswerRepeats: 0,            // 같은 정답이 연속으로 나올 수 있는 최대 횟수 (0 = 제한 없음)
+  forbidIdenticalSumRuns: false,  // 정답 패턴 반복 금지 (예: 9, 12, 9, 12 / 9, 9, 9)
+  answerDistribution: 'natural'   // 정답(2~18) 분포: natural | uniform | high | low
+};
+
+// Target weights for answers 2-18 per distribution preset
+const ANSWER_DISTRIBUTIONS = {
+  uniform: () => 1,
+  high: answer => (answer >= 10 ? 3 : 1),  // Favor two-digit answers
+  low: answer => (answer <= 9 ? 3 : 1)     // Favor single-digit answers
+};
+
+// Arithmetic operations (previous = the number N positions back)
+const OPERATIONS = {
+  add: {
+    label: 'Addition',
+    apply: (previousNum, currentNum) => previousNum + currentNum
+  },
+  subtract: {
+    label: 'Subtraction',
+    apply: (previousNum, currentNum) => previousNum - currentNum
+  },
+  absDiff: {
+    label: 'Absolute Difference',
+    apply: (previousNum, currentNum) => Math.abs(previousNum - currentNum)
+  }
+};
+
+// Adaptive staircase: N correct in a row speeds up, N wrong in a row slows down
+const DEFAULT_STAIRCASE = {
+  correctRunLength: 4,   // 연속 정답 N회 -> 빨라짐
+  incorrectRunLength: 4, // 연속 오답 N회 -> 느려짐
+  stepDown: 100,         // 빨라질 때 줄이는 간격 (ms)
+  stepUp: 100,           // 느려질 때 늘리는 간격 (ms)
+  minISI: 500,           // 가장 빠른 간격 (ms)
+  maxISI: 5000           // 가장 느린 간격 (ms)
+};
+
+// Staircase parameter limits (saved settings are clamped into these)
+const STAIRCASE_LIMITS = {
+  runLength: { min: 1, max: 10 },
+  step: { min: 10, max: 1000 },
+  isi: { min: 200, max: 10000 }
+};
+
+// Fill in missing staircase values and clamp them to sane bounds
+function normalizeStaircase(staircase) {
+  const merged = Object.assign({}, DEFAULT_STAIRCASE, staircase);
+  const clamp = (value, limits, fallback) => {
+    const number = parseInt(value);
+    return isNaN(number) ? fallback : Math.max(limits.min, Math.min(limits.max, number));
+  };
+  const result = {
+    correctRunLength: clamp(merged.correctRunLength, STAIRCASE_LIMITS.runLength, DEFAULT_STAIRCASE.correctRunLength),
+    incorrectRunLength: clamp(merged.incorrectRunLength, STAIRCASE_LIMITS.runLength, DEFAULT_STAIRCASE.incorrectRunLength),
+    stepDown: clamp(merged.stepDown, STAIRCASE_LIMITS.step, DEFAULT_STAIRCASE.stepDown),
+    stepUp: clamp(merged.stepUp, STAIRCASE_LIMITS.step, DEFAULT_STAIRCASE.stepUp),
+    minISI: clamp(merged.minISI, STAIRCASE_LIMITS.isi, DEFAULT_STAIRCASE.minISI),
+    maxISI: clamp(merged.maxISI, STAIRCASE_LIMITS.isi, DEFAULT_STAIRCASE.maxISI)
+  };
+  // Floor above ceiling would pin the interval - keep them ordered
+  if (result.maxISI < result.minISI) {
+    result.maxISI = result.minISI;
+  }
+  return result;
+}
+
+// Collects the ISIs where the staircase turned around; their mean estimates the threshold
+function createReversalTracker() {
+  const reversals = [];
+  let lastDirection = 0;
+
+  return {
+    record(direction, isi) {
+      if (lastDirection !== 0 && direction !== lastDirection) {
+        reversals.push(isi);
+      }
+      lastDirection = direction;
+    },
+    estimate() {
+      if (reversals.length === 0) {
+        return null;
+      }
+      // The first reversals still reflect the starting interval
+      const recent = reversals.slice(-6);
+      return Math.round(recent.reduce((sum, isi) => sum + isi, 0) / recent.length);
+    }
+  };
+}
+
+// Existing rule: N correct in a row speeds up, N wrong in a row slows down
+function createRunStaircase(options, state) {
+  const staircase = options.staircase;
+  const reversals = createReversalTracker();
+
+  return {
+    update() {
+      const isi = state.currentISIValue;
+      if (state.consecutiveCorrect >= staircase.correctRunLength) {
+        state.consecutiveCorrect = 0;
+        reversals.record(-1, isi);
+        return Math.max(staircase.minISI, isi - staircase.stepDown);
+      }
+      if (state.consecutiveIncorrect >= staircase.incorrectRunLength) {
+        state.consecutiveIncorrect = 0;
+        reversals.record(1, isi);
+        return Math.min(staircase.maxISI, isi + staircase.stepUp);
+      }
+      return null;
+    },
+    getThreshold: () => reversals.estimate()
+  };
+}
+
+// Weighted up-down (Kaernbach 1991): every answer moves the interval,
+// wrong answers by a larger step so the track settles at the target accuracy
+function createWeightedUpDown(options, state) {
+  const staircase = options.staircase;
+  const stepDown = staircase.stepDown;
+  const stepUp = Math.round(stepDown * options.targetAccuracy / (1 - options.targetAccuracy));
+  const reversals = createReversalTracker();
+
+  return {
+    update(isCorrect) {
+      const isi = state.currentISIValue;
+      reversals.record(isCorrect ? -1 : 1, isi);
+      return isCorrect
+        ? Math.max(staircase.minISI, isi - stepDown)
+        : Math.min(staircase.maxISI, isi + stepUp);
+    },
+    getThreshold: () => reversals.estimate()
+  };
+}
+
+// PEST (Taylor & Creelman 1967): stay at an interval until a Wald test says the
+// accuracy there is clearly above or below target, then step. Reversals halve
+// the step, a third step in the same direction doubles it.
+function createPest(options, state) {
+  const staircase = options.staircase;
+  const waldLimit = 1;
+  let step = staircase.stepDown * 4;
+  let trials = 0;
+  let correct = 0;
+  let lastDirection = 0;
+  let sameDirectionSteps = 0;
+  let level = null;
+
+  return {
+    update(isCorrect) {
+      trials++;
+      if (isCorrect) {
+        correct++;
+      }
+      const expected = trials * options.targetAccuracy;
+      let direction = 0;
+      if (correct >= expected + waldLimit) {
+        direction = -1; // Better than target -> faster
+      } else if (correct <= expected - waldLimit) {
+        direction = 1; // Worse than target -> slower
+      }
+      if (direction === 0) {
+        return null;
+      }
+
+      if (lastDirection !== 0 && direction !== lastDirection) {
+        step = Math.max(STAIRCASE_LIMITS.step.min, Math.round(step / 2));
+        sameDirectionSteps = 1;
+      } else {
+        sameDirectionSteps++;
+        if (sameDirectionSteps >= 3) {
+          step = Math.min(STAIRCASE_LIMITS.step.max, step * 2);
+        }
+      }
+      lastDirection = direction;
+      trials = 0;
+      correct = 0;
+
+      level = Math.max(staircase.minISI, Math.min(staircase.maxISI, state.currentISIValue + direction * step));
+      return level;
+    },
+    // PEST's estimate is simply the interval it has settled on
+    getThreshold: () => level
+  };
+}
+
+// QUEST-style Bayesian estimator (Watson & Pelli 1983): keeps a posterior over
+// the threshold ISI and presents the posterior mean on every trial
+function createQuest(options, state) {
+  const staircase = options.staircase;
+  const gridStep = 10;       // Threshold candidates every 10ms
+  const priorSD = 1000;      // Prior: centred on the starting interval
+  const slope = 150;         // Spread of the psychometric function (ms)
+  const guessRate = 0.05;    // Chance of guessing one of ~17 answers
+  const lapseRate = 0.02;    // Slips even when the interval is easy
+  const target = Math.max(guessRate + 0.01, Math.min(1 - lapseRate - 0.01, options.targetAccuracy));
+  const scaled = (target - guessRate) / (1 - guessRate - lapseRate);
+  const targetShift = Math.log(scaled / (1 - scaled)); // P(correct) equals target at isi === threshold
+
+  const candidates = [];
+  const logPosterior = [];
+  for (let threshold = staircase.minISI; threshold <= staircase.maxISI; threshold += gridStep) {
+    candidates.push(threshold);
+    logPosterior.push(-0.5 * Math.pow((threshold - options.startISI) / priorSD, 2));
+  }
+
+  function probabilityCorrect(isi, threshold) {
+    const logistic = 1 / (1 + Math.exp(-((isi - threshold) / slope + targetShift)));
+    return guessRate + (1 - guessRate - lapseRate) * logistic;
+  }
+
+  function posteriorMean() {
+    const maxLog = Math.max(...logPosterior);
+    let weightSum = 0;
+    let mean = 0;
+    logPosterior.forEach((logValue, i) => {
+      const weight = Math.exp(logValue - maxLog);
+      weightSum += weight;
+      mean += weight * candidates[i];
+    });
+    return mean / weightSum;
+  }
+
+  return {
+    update(isCorrect, trial) {
+      const isi = trial.isi;
+      candidates.forEach((threshold, i) => {
+        const p = probabilityCorrect(isi, threshold);
+        logPosterior[i] += Math.log(isCorrect ? p : 1 - p);
+      });
+      const next = Math.round(posteriorMean() / gridStep) * gridStep;
+      return Math.max(staircase.minISI, Math.min(staircase.maxISI, next));
+    },
+    getThreshold: () => Math.round(posteriorMean())
+  };
+}
+
+// Adaptive algorithms: create(options, state) returns
+// { update(isCorrect, trial) -> next ISI or null, getThreshold() -> ms or null }
+const ADAPTIVE_ALGORITHMS = {
+  run: { label: 'Run-based staircase', create: createRunStaircase },
+  weighted: { label: 'Weighted up-down', create: createWeightedUpDown },
+  pest: { label: 'PEST', create: createPest },
+  quest: { label: 'QUEST', create: createQuest }
+};
+
+// Target accuracy limits for the weighted/PEST/QUEST algorithms
+function normalizeTargetAccuracy(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? DEFAULT_ENGINE_CONFIG.targetAccuracy : Math.max(0.55, Math.min(0.95, number));
+}
+
+// Ear presentation
+//   mode: center (both ears) | left | right | random (ear drawn per number) | alternate
+//   distractors: with a fixed ear, the other ear hears a different digit at the same onset.
+//                Answers depend only on the chosen ear.
+const SPATIAL_MODES = ['center', 'left', 'right', 'random', 'alternate'];
+const DEFAULT_SPATIAL = {
+  mode: 'center',
+  distractors: false
+};
+
+function normalizeSpatial(spatial) {
+  const mode = spatial && SPATIAL_MODES.includes(spatial.mode) ? spatial.mode : DEFAULT_SPATIAL.mode;
+  return {
+    mode: mode,
+    distractors: Boolean(spatial && spatial.distractors) && (mode === 'left' || mode === 'right')
+  };
+}
+
+// Accuracy per ear, e.g. { left: { correct, total, accuracy } } - null when every number was centred
+function getEarAccuracy(trials) {
+  const ears = {};
+  trials.forEach(trial => {
+    if (!trial.ear || trial.ear === 'center' || trial.correct === null) {
+      return;
+    }
+    if (!ears[trial.ear]) {
+      ears[trial.ear] = { correct: 0, total: 0, accuracy: 0 };
+    }
+    ears[trial.ear].total++;
+    if (trial.correct) {
+      ears[trial.ear].correct++;
+    }
+  });
+  Object.values(ears).forEach(ear => {
+    ear.accuracy = Math.round((ear.correct / ear.total) * 100);
+  });
+  return Object.keys(ears).length > 0 ? ears : null;
+}
+
+// Presentation modalities
+const MODALITIES = ['auditory', 'visual', 'mixed'];
+
+// Accuracy and mean correct response time of a group of trials
+function summarizeTrials(trials) {
+  const scored = trials.filter(trial => trial.correct !== null);
+  const correct = scored.filter(trial => trial.correct);
+  const times = correct.filter(trial => typeof trial.responseTime === 'number').map(trial => trial.responseTime);
+  return {
+    correct: correct.length,
+    total: scored.length,
+    accuracy: scored.length > 0 ? Math.round((correct.length / scored.length) * 100) : 0,
+    meanResponseTime: times.length > 0 ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length) : null
+  };
+}
+
+// Mixed sessions: results by modality, and by whether the modality switched from the previous number
+function getModalityBreakdown(trials) {
+  return {
+    auditory: summarizeTrials(trials.filter(trial => trial.modality === 'auditory')),
+    visual: summarizeTrials(trials.filter(trial => trial.modality === 'visual')),
+    switch: summarizeTrials(trials.filter(trial => trial.modalitySwitch === true)),
+    repeat: summarizeTrials(trials.filter(trial => trial.modalitySwitch === false))
+  };
+}
+
+// Arithmetic task the digits are generated for
+const DEFAULT_TASK = {
+  nbackValue: 1,          // N-back setting
+  constrainSumTo9: false, // 합이 9를 넘지 않게 (모든 정답이 한 자리 수, 덧셈 전용)
+  operation: 'add',       // add | subtract | absDiff
+  offset: 0               // 덧셈 결과에 더하는 값 (+N, 덧셈 전용)
+};
+
+// Range of answers the task can produce
+function getAnswerRange(task) {
+  if (task.operation === 'subtract') {
+    return { min: -8, max: 8 };
+  }
+  if (task.operation === 'absDiff') {
+    return { min: 0, max: 8 };
+  }
+  // Addition (+N) - two digits sum to 2-18, shifted by N; Constrain Sum to 9 caps the answer at 9
+  const offset = task.offset || 0;
+  return { min: 2 + offset, max: task.constrainSumTo9 ? 9 : 18 + offset };
+}
+
+// Short label for an operation, e.g. "Addition +2"
+function getOperationLabel(operation, offset) {
+  const definition = OPERATIONS[operation] || OPERATIONS.add;
+  return offset ? `${definition.label} +${offset}` : definition.label;
+}
+
+// Natural probability of a sum when both digits are uniform (triangular 2-18)
+function naturalAnswerProbability(sum) {
+  return (9 - Math.abs(sum - 10)) / 81;
+}
+
+// Answer the candidate digit would produce (null if it has no partner yet)
+function answerForCandidate(candidate, numberSequence, task) {
+  if (numberSequence.length < task.nbackValue) {
+    return null;
+  }
+  return calculateNbackAnswer(candidate, numberSequence.concat(candidate), task.nbackValue, task);
+}
+
+// The last `count` answers of the sequence (oldest first)
+function recentAnswers(sequence, task, count) {
+  const nback = task.nbackValue;
+  const answers = [];
+  const firstIndex = Math.max(nback, sequence.length - count);
+  for (let i = firstIndex; i < sequence.length; i++) {
+    answers.push(calculateNbackAnswer(sequence[i], sequence.slice(0, i + 1), nback, task));
+  }
+  return answers;
+}
+
+// Digits the task allows next
+function allowedDigits(numberSequence, task) {
+  const digits = [];
+  const { max } = getAnswerRange(task);
+  const capped = task.operation === 'add' && max - (task.offset || 0) < 18;
+
+  for (let digit = 1; digit <= 9; digit++) {
+    if (capped) {
+      // 상한을 넘지 않으려면 다음 숫자(최소 1)와 더해도 상한 이하여야 함
+      if (digit + 1 + task.offset > max) continue;
+      const answer = answerForCandidate(digit, numberSequence, task);
+      if (answer !== null && answer > max) continue;
+    }
+    digits.push(digit);
+  }
+  return digits;
+}
+
+// Draw an allowed digit, weighted so the sums follow the selected distribution (addition only)
+function drawCandidate(numberSequence, random, rules, task) {
+  const targetWeight = ANSWER_DISTRIBUTIONS[rules.answerDistribution];
+  const digits = allowedDigits(numberSequence, task);
+
+  if (!targetWeight || task.operation !== 'add' || numberSequence.length < task.nbackValue) {
+    return digits[Math.floor(random() * digits.length)];
+  }
+
+  const partner = numberSequence[numberSequence.length - task.nbackValue];
+  const weights = digits.map(digit => {
+    const sum = digit + partner;
+    return targetWeight(sum) / naturalAnswerProbability(sum);
+  });
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let roll = random() * totalWeight;
+  for (let i = 0; i < digits.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) {
+      return digits[i];
+    }
+  }
+  return digits[digits.length - 1];
+}
+
+// Hard rules - a candidate that breaks them is never accepted while an alternative exists
+function breaksHardRules(candidate, numberSequence, rules, task) {
+  const answer = answerForCandidate(candidate, numberSequence, task);
+  if (answer === null) {
+    return false; // No answer for this digit yet
+  }
+
+  // 같은 정답 연속 횟수 제한
+  if (rules.maxAnswerRepeats > 0) {
+    const previous = recentAnswers(numberSequence, task, rules.maxAnswerRepeats);
+    if (previous.length === rules.maxAnswerRepeats && previous.every(a => a === answer)) {
+      return true;
+    }
+  }
+
+  // 정답 패턴 반복 금지: 직전 2개 정답(후보 포함)이 그 앞 2개와 같으면 거절
+  if (rules.forbidIdenticalSumRuns) {
+    const previous = recentAnswers(numberSequence, task, 3);
+    if (previous.length === 3 && previous[0] === previous[2] && previous[1] === answer) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// [수정된 함수] 스마트 패턴 확률형 숫자 생성기
+// 패턴이 감지되면 '무조건 차단'하지 않고, '주사위를 굴려서' 통과 여부를 결정합니다.
+// N-back 값과 상관없이 "더할 숫자(N칸 전)" 기준으로 패턴을 검사합니다.
+// random: 0~1 난수 함수 (seed 재현을 위해 반드시 이 함수만 사용)
+function generateNumber(numberSequence, random = Math.random, rules = DEFAULT_SEQUENCE_RULES, task = DEFAULT_TASK) {
+  let candidate;
+  let attempts = 0;
+  const maxAttempts = 20; // 무한 루프 방지용 안전장치
+  const len = numberSequence.length;
+  const nback = task.nbackValue;
+
+  while (attempts < maxAttempts) {
+    // 허용된 숫자 중 랜덤 생성 (정답 분포 설정 반영)
+    candidate = drawCandidate(numberSequence, random, rules, task);
+
+    let reject = false;
+
+    // 1. A-A 패턴 검사 (더할 숫자와 같을 경우)
+    if (len >= nback && candidate === numberSequence[len - nback]) {
+      // 설정된 확률보다 랜덤값이 크면 -> 거절(reject)하고 다시 뽑기
+      if (random() > rules.allowAAProbability) {
+        reject = true;
+      }
+    }
+
+    // 2. A-B-A 패턴 검사 (더할 숫자의 N칸 전 숫자와 같을 경우)
+    // (단, 이미 A-A에서 거절당했으면 검사할 필요 없음)
+    if (!reject && len >= 2 * nback && candidate === numberSequence[len - 2 * nback]) {
+      // 설정된 확률보다 랜덤값이 크면 -> 거절(reject)하고 다시 뽑기
+      if (random() > rules.allowABAProbability) {
+        reject = true;
+      }
+    }
+
+    // 3. 절대 규칙 (같은 정답 연속, 정답 패턴 반복)
+    if (!reject && breaksHardRules(candidate, numberSequence, rules, task)) {
+      reject = true;
+    }
+
+    // 거절되지 않았다면 이 숫자를 확정!
+    if (!reject) {
+      return candidate;
+    }
+
+    // 거절되었다면 카운트 올리고 다시 while문 처음으로 돌아가서 재추첨
+    attempts++;
+  }
+
+  // 만약 20번을 다시 뽑아도 계속 패턴이 걸리면(정말 운이 나쁜 경우),
+  // 절대 규칙을 지키는 숫자 중 하나를 사용하고, 그것도 없으면 마지막 뽑은 숫자를 사용
+  if (breaksHardRules(candidate, numberSequence, rules, task)) {
+    const digits = allowedDigits(numberSequence, task);
+    const start = Math.floor(random() * digits.length);
+    for (let i = 0; i < digits.length; i++) {
+      const digit = digits[(start + i) % digits.length];
+      if (!breaksHardRules(digit, numberSequence, rules, task)) {
+        return digit;
+      }
+    }
+  }
+  return candidate;
+}
+
+// Calculate correct answer based on N-back value and the task's operation
+function calculateNbackAnswer(currentNum, sequence, nback, task = DEFAULT_TASK) {
+  if (sequence.length < nback) {
+    return null; // Not enough numbers in sequence yet
+  }
+
+  const previousNum = sequence[sequence.length - nback - 1];
+  const operation = OPERATIONS[task.operation] || OPERATIONS.add;
+  const answer = operation.apply(previousNum, currentNum);
+  return task.operation === 'add' ? answer + (task.offset || 0) : answer;
+}
+
+// How far measured onsets landed from the intended ones (ms), null if nothing was measured
+function getOnsetTiming(trials) {
+  const errors = trials
+    .filter(trial => typeof trial.measuredOnset === 'number')
+    .map(trial => trial.measuredOnset - trial.intendedOnset);
+  if (errors.length === 0) {
+    return null;
+  }
+  const absolute = errors.map(Math.abs);
+  return {
+    measured: errors.length,
+    meanError: Math.round(absolute.reduce((sum, error) => sum + error, 0) / absolute.length * 10) / 10,
+    maxError: Math.round(Math.max(...absolute) * 10) / 10
+  };
+}
+
+// How long the spoken digits lasted and how much of each interval was left after them (ms),
+// null if present() reported no durations
+function getStimulusTiming(trials) {
+  const measured = trials.filter(trial => typeof trial.stimulusDuration === 'number');
+  if (measured.length === 0) {
+    return null;
+  }
+  const durations = measured.map(trial => trial.stimulusDuration);
+  return {
+    measured: measured.length,
+    meanDuration: Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length),
+    maxDuration: Math.round(Math.max(...durations)),
+    // The shortest time anyone had between the end of a digit and the next onset
+    minResponseWindow: Math.round(Math.min(...measured.map(trial => trial.isi - trial.stimulusDuration)))
+  };
+}
+
+// Input events a trial's attempt log can hold (see recordInput)
+//   answer     - a complete value was entered (correct or not; strict input erases wrong ones)
+//   partial    - the start of a two-digit answer was typed
+//   correction - typed digits were deleted
+//   blocked    - input arrived inside the input block after the number changed
+//   late       - the previous trial's answer arrived inside the late-answer window and was ignored
+const INPUT_EVENT_TYPES = ['answer', 'partial', 'correction', 'blocked', 'late'];
+
+// What the attempt logs show beyond the scored answers, null if nothing was logged
+function getAttemptSummary(trials) {
+  const logged = trials.filter(trial => Array.isArray(trial.attempts));
+  if (logged.length === 0) {
+    return null;
+  }
+  const wrongAnswers = trial => trial.attempts.filter(event => event.type === 'answer' && event.value !== trial.correctAnswer);
+  const countEvents = type => logged.reduce((count, trial) => count + trial.attempts.filter(event => event.type === type).length, 0);
+  const firstKeyLatencies = logged
+    .filter(trial => typeof trial.firstKeyLatency === 'number')
+    .map(trial => trial.firstKeyLatency);
+  return {
+    // Scored trials without a single answer entered, as opposed to answered wrong
+    unanswered: logged.filter(trial => trial.correct !== null && trial.userAnswer === null &&
+      !trial.attempts.some(event => event.type === 'answer')).length,
+    trialsWithWrongAnswers: logged.filter(trial => wrongAnswers(trial).length > 0).length,
+    wrongAnswers: logged.reduce((count, trial) => count + wrongAnswers(trial).length, 0),
+    corrections: countEvents('correction'),
+    blocked: countEvents('blocked'),
+    late: countEvents('late'),
+    meanFirstKeyLatency: firstKeyLatencies.length > 0
+      ? Math.round(firstKeyLatencies.reduce((sum, latency) => sum + latency, 0) / firstKeyLatencies.length)
+      : null
+  };
+}
+
+// Output latency in ms (0-1000), 0 when unknown
+function normalizeOutputLatency(value) {
+  const latency = Number(value);
+  if (!Number.isFinite(latency)) {
+    return 0;
+  }
+  return Math.max(0, Math.min(1000, Math.round(latency)));
+}
+
+// Create a session engine
+// deps.present(number, trial, voice, onsetTime, details) queues the number to start exactly at onsetTime (clock ms).
+//   details is { ear, distractor, modality }: the ear to play it in, a digit for the other ear (or null),
+//   and whether to speak ('auditory') or show ('visual') it.
+//   It is called `lookahead` ms early and may resolve with { voice, onset, duration }: the voice that
+//   actually spoke (e.g. after a fallback), the measured onset on the same clock and how long the digit lasted.
+// deps.clock should be the audio clock (e.g. AudioContext.currentTime in ms) so onsets line up with playback
+// deps.getPendingAnswer() returns the not-yet-submitted answer (or null) when a trial times out
+function createSessionEngine(config, deps = {}) {
+  const settings = Object.assign({}, DEFAULT_ENGINE_CONFIG, config);
+  settings.sequenceRules = Object.assign({}, DEFAULT_SEQUENCE_RULES, settings.sequenceRules);
+  settings.staircase = normalizeStaircase(settings.staircase);
+  settings.adaptiveAlgorithm = ADAPTIVE_ALGORITHMS[settings.adaptiveAlgorithm] ? settings.adaptiveAlgorithm : 'run';
+  settings.targetAccuracy = normalizeTargetAccuracy(settings.targetAccuracy);
+  settings.spatial = normalizeSpatial(settings.spatial);
+  settings.modality = MODALITIES.includes(settings.modality) ? settings.modality : 'auditory';
+  settings.crossModalAnswer = settings.modality === 'mixed' && Boolean(settings.crossModalAnswer);
+  if (settings.crossModalAnswer) {
+    settings.nbackValue = 1; // The partner is always the latest digit of the other stream
+  }
+  settings.outputLatency = normalizeOutputLatency(settings.outputLatency);
+  const isAddition = !OPERATIONS[settings.operation] || settings.operation === 'add';
+  const task = {
+    nbackValue: settings.nbackValue,
+    constrainSumTo9: isAddition && settings.constrainSumTo9,
+    operation: isAddition ? 'add' : settings.operation,
+    offset: isAddition ? Math.max(0, Math.min(3, settings.offset || 0)) : 0
+  };
+  const answerRange = getAnswerRange(task);
+  const clock = deps.clock || defaultClock;
+  const scheduler = deps.scheduler || defaultScheduler;
+  const present = deps.present || (() => Promise.resolve());
+  const getPendingAnswer = deps.getPendingAnswer || (() => null);
+
+  // The digit stream draws only from this seeded generator
+  const seed = settings.seed === null ? createRandomSeed() : settings.seed >>> 0;
+  const sequenceRandom = createSeededRandom(seed);
+  // Voices get their own stream so mixing voices never changes the digits
+  const voiceRandom = createSeededRandom((seed ^ 0x5bd1e995) >>> 0);
+  const voices = Array.isArray(settings.voices) && settings.voices.length > 0 ? settings.voices.slice() : null;
+  // ...and so do ears and distractor digits
+  const earRandom = createSeededRandom((seed ^ 0x27d4eb2f) >>> 0);
+  // ...and the modality of each number in mixed sessions
+  const modalityRandom = createSeededRandom((seed ^ 0x165667b1) >>> 0);
+
+  const listeners = {};
+
+  // Session state - read it through engine.state, never write to it from outside
+  const state = {
+    seed: seed,
+    sessionActive: false,
+    numberSequence: [],
+    sessionHistory: [],
+    currentNumber: null,
+    correctAnswer: null,
+    currentTrialId: 0,
+    currentISIValue: settings.startISI,
+    lowestISI: settings.startISI,
+    consecutiveCorrect: 0,
+    consecutiveIncorrect: 0,
+    totalCorrect: 0,
+    totalAttempts: 0,
+    remainingTime: settings.sessionDuration * 60, // in seconds
+    processingAnswer: false,
+    answerProcessed: false,
+    nextPresentationTime: 0,    // Intended onset of the next number
+    responseWindowStart: 0,     // Onset of the current number (measured when known)
+    previousRoundAnswer: null,  // 이전 정답 (늦은 답변 판별용)
+    lastRoundChangeTime: 0,
+    inputBlockedUntil: 0,       // 이 시간까지 입력 차단
+    paused: false,
+    pauses: [],                 // { start (ms into the session), duration, reason }
+    pausedTime: 0,              // Total paused time (ms), not counted as training time
+    lastModality: null,         // Modality of the latest number
+    lastDigitByModality: { auditory: null, visual: null } // Partners for the cross-modal answer
+  };
+
+  // Timer handles
+  let trainingTimerId = null;
+  let tickTimeoutId = null;       // Realigns the countdown after a resume
+  let queueTimerId = null;        // Fires `lookahead` ms before the next onset
+  let onsetTimerId = null;        // Fires at the onset of the queued number
+  let queuedPresentation = null;  // { number, trial, voice, onset, measuredOnset } handed to present(), not yet current
+
+  // Time marks used to freeze and restore timers around a pause
+  let sessionStartTime = 0;
+  let lastTickTime = 0;
+  let pauseStartedAt = 0;
+  let frozenTimers = null;        // What was pending when pause() ran
+
+  // Adaptive algorithm (none in manual mode - the interval stays fixed)
+  const adaptiveController = settings.adaptive
+    ? ADAPTIVE_ALGORITHMS[settings.adaptiveAlgorithm].create({
+      staircase: settings.staircase,
+      targetAccuracy: settings.targetAccuracy,
+      startISI: settings.startISI
+    }, state)
+    : null;
+
+  function on(eventName, handler) {
+    if (!listeners[eventName]) {
+      listeners[eventName] = [];
+    }
+    listeners[eventName].push(handler);
+    return engine;
+  }
+
+  function off(eventName, handler) {
+    if (listeners[eventName]) {
+      listeners[eventName] = listeners[eventName].filter(h => h !== handler);
+    }
+    return engine;
+  }
+
+  function emit(eventName, payload) {
+    (listeners[eventName] || []).slice().forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Error in ${eventName} handler:`, error);
+      }
+    });
+  }
+
+  function clearPresentationTimers() {
+    if (queueTimerId) {
+      scheduler.clearTimeout(queueTimerId);
+      queueTimerId = null;
+    }
+    if (onsetTimerId) {
+      scheduler.clearTimeout(onsetTimerId);
+      onsetTimerId = null;
+    }
+  }
+
+  function clearAllTimers() {
+    if (trainingTimerId) {
+      scheduler.clearInterval(trainingTimerId);
+      trainingTimerId = null;
+    }
+    if (tickTimeoutId) {
+      scheduler.clearTimeout(tickTimeoutId);
+      tickTimeoutId = null;
+    }
+    clearPresentationTimers();
+  }
+
+  function setISI(value) {
+    const previousISI = state.currentISIValue;
+    if (value === previousISI) {
+      return;
+    }
+    state.currentISIValue = value;
+    state.lowestISI = Math.min(state.lowestISI, value);
+    emit('isiChanged', { isi: value, previousISI: previousISI });
+  }
+
+  // Let the adaptive algorithm pick the next interval after a scored trial
+  function applyAdaptiveStep(isCorrect, trial) {
+    if (!adaptiveController) {
+      return;
+    }
+    const nextISI = adaptiveController.update(isCorrect, trial);
+    if (nextISI !== null) {
+      setISI(nextISI);
+    }
+  }
+
+  // Record a result on a trial and update counters (centralized logic)
+  function scoreTrial(trial, userAnswer, responseTime, source) {
+    trial.responseTime = responseTime;
+    trial.userAnswer = userAnswer;
+
+    // Robust comparison that properly handles null values
+    let isCorrect = false;
+    if (userAnswer !== null && userAnswer !== undefined) {
+      const numericAnswer = Number(userAnswer);
+      const numericCorrect = Number(trial.correctAnswer);
+      // Only correct if both are valid numbers and equal
+      isCorrect = !isNaN(numericAnswer) && !isNaN(numericCorrect) && numericAnswer === numericCorrect;
+    }
+    // If userAnswer is null/undefined, it's always incorrect
+    trial.correct = isCorrect;
+
+    state.totalAttempts++;
+    if (isCorrect) {
+      state.totalCorrect++;
+      state.consecutiveCorrect++;
+      state.consecutiveIncorrect = 0;
+    } else {
+      state.consecutiveCorrect = 0;
+      state.consecutiveIncorrect++;
+    }
+
+    applyAdaptiveStep(isCorrect, trial);
+
+    emit('answerScored', { trial: trial, correct: isCorrect, source: source });
+    return isCorrect;
+  }
+
+  // Time since the trial's number was presented (ms)
+  // A spoken number reaches the ear outputLatency ms after its onset on the audio clock
+  function getElapsedResponseTime(trial) {
+    const latency = trial.modality === 'visual' ? 0 : settings.outputLatency;
+    return Math.max(0, clock.now() - state.responseWindowStart - latency);
+  }
+
+  // Process answer - centralized function for handling all answer processing
+  function processAnswer(userAnswer, source) {
+    if (state.processingAnswer || state.correctAnswer === null) {
+      return false;
+    }
+
+    state.processingAnswer = true;
+
+    // Get the current trial
+    const currentTrial = state.sessionHistory[state.sessionHistory.length - 1];
+    if (!currentTrial) {
+      state.processingAnswer = false;
+      return false;
+    }
+
+    // Validate trial hasn't already been answered
+    if (currentTrial.correct !== null) {
+      state.processingAnswer = false;
+      return false;
+    }
+
+    // Validate trial belongs to current number sequence
+    if (currentTrial.correctAnswer !== state.correctAnswer) {
+      state.processingAnswer = false;
+      return false;
+    }
+
+    scoreTrial(currentTrial, userAnswer, getElapsedResponseTime(currentTrial), source);
+
+    // Reset processing flag to allow future processing
+    state.processingAnswer = false;
+    return true;
+  }
+
+  // Submit an answer for the current trial; returns false if it could not be processed
+  function submitAnswer(userAnswer) {
+    if (!state.sessionActive || state.paused || state.answerProcessed) {
+      return false;
+    }
+    state.answerProcessed = true;
+    const success = processAnswer(userAnswer, 'response');
+    if (!success) {
+      state.answerProcessed = false;
+    }
+    return success;
+  }
+
+  // Log an input event on the current trial (type: see INPUT_EVENT_TYPES); returns false if there is no trial to log on
+  // Blocked and late input is usually meant for the previous number, so it does not count as the first key
+  function recordInput(type, value) {
+    const currentTrial = state.sessionHistory[state.sessionHistory.length - 1];
+    if (!state.sessionActive || state.paused || !currentTrial || !INPUT_EVENT_TYPES.includes(type)) {
+      return false;
+    }
+    const time = getElapsedResponseTime(currentTrial);
+    currentTrial.attempts.push({ type: type, value: value === undefined ? null : value, time: time });
+    if (currentTrial.firstKeyLatency === null && type !== 'blocked' && type !== 'late') {
+      currentTrial.firstKeyLatency = time;
+    }
+    return true;
+  }
+
+  // The current trial's window closes at the next onset - score whatever the user has entered so far
+  function closeCurrentTrial() {
+    const currentTrial = state.sessionHistory[state.sessionHistory.length - 1];
+    if (!currentTrial || currentTrial.correct !== null || state.answerProcessed || state.processingAnswer) {
+      return;
+    }
+
+    const pendingAnswer = getPendingAnswer();
+    let userAnswer = null;
+    if (pendingAnswer !== null && pendingAnswer !== undefined && !isNaN(pendingAnswer)) {
+      userAnswer = Number(pendingAnswer);
+    }
+
+    state.answerProcessed = true;
+    const success = processAnswer(userAnswer, 'timeout');
+    if (!success) {
+      state.answerProcessed = false;
+    }
+  }
+
+  // Lookahead scheduling: every number is handed to present() `lookahead` ms early together
+  // with its exact onset, so audio can be queued on the AudioContext timeline. Onsets are
+  // spaced by the ISI (onset to onset), so audio length and timer jitter no longer add up.
+  function scheduleQueue(onset) {
+    state.nextPresentationTime = onset;
+    queueTimerId = scheduler.setTimeout(() => {
+      queueTimerId = null;
+      queueNextNumber();
+    }, Math.max(0, onset - settings.lookahead - clock.now()));
+  }
+
+  // Generate the next number and hand it to present() ahead of its onset
+  function queueNextNumber() {
+    if (!state.sessionActive || state.paused) {
+      return;
+    }
+    const onset = state.nextPresentationTime;
+    const modality = pickModality();
+    const previousModality = state.lastModality;
+
+    // Cross-modal answers pair the number with the latest digit of the other modality,
+    // so the generator's rules look at that partner only
+    const partner = settings.crossModalAnswer
+      ? state.lastDigitByModality[modality === 'auditory' ? 'visual' : 'auditory']
+      : null;
+    const generatorSequence = settings.crossModalAnswer ? (partner !== null ? [partner] : []) : state.numberSequence;
+
+    // Generate a new number
+    const currentNumber = generateNumber(generatorSequence, sequenceRandom, settings.sequenceRules, task);
+    state.numberSequence.push(currentNumber);
+    state.lastModality = modality;
+    state.lastDigitByModality[modality] = currentNumber;
+    const voice = voices ? voices[Math.floor(voiceRandom() * voices.length)] : null;
+    const ear = pickEar();
+    const distractor = settings.spatial.distractors ? pickDistractor(currentNumber) : null;
+
+    const hasAnswer = settings.crossModalAnswer
+      ? partner !== null
+      : state.numberSequence.length >= settings.nbackValue + 1;
+    let trial = null;
+    if (hasAnswer) {
+      state.currentTrialId++;
+      trial = {
+        nbackValue: settings.nbackValue,
+        currentNumber: currentNumber,
+        previousNumber: settings.crossModalAnswer
+          ? partner
+          : state.numberSequence[state.numberSequence.length - settings.nbackValue - 1],
+        correctAnswer: settings.crossModalAnswer
+          ? calculateNbackAnswer(currentNumber, [partner, currentNumber], 1, task)
+          : calculateNbackAnswer(currentNumber, state.numberSequence, settings.nbackValue, task),
+        userAnswer: null,
+        correct: null,
+        isi: null, // Set at the onset
+        trialId: state.currentTrialId,
+        voice: voice,
+        ear: ear,
+        distractor: distractor,
+        modality: modality,
+        modalitySwitch: previousModality === null ? null : previousModality !== modality,
+        intendedOnset: onset,
+        measuredOnset: null,
+        stimulusDuration: null, // Measured length of the spoken digit, when present() reports it
+        firstKeyLatency: null,  // First input meant for this trial (ms, same reference as responseTime)
+        attempts: []            // Every input event while this trial was current (see recordInput)
+      };
+    }
+
+    queuedPresentation = {
+      number: currentNumber,
+      trial: trial,
+      voice: voice,
+      details: { ear: ear, distractor: distractor, modality: modality },
+      onset: onset,
+      measuredOnset: null
+    };
+    deliver(queuedPresentation);
+    scheduleOnset(onset);
+  }
+
+  // Spoken or shown
+  function pickModality() {
+    if (settings.modality === 'mixed') {
+      return modalityRandom() < 0.5 ? 'auditory' : 'visual';
+    }
+    return settings.modality;
+  }
+
+  // Ear for the number just added to the sequence
+  function pickEar() {
+    const mode = settings.spatial.mode;
+    if (mode === 'random') {
+      return earRandom() < 0.5 ? 'left' : 'right';
+    }
+    if (mode === 'alternate') {
+      return state.numberSequence.length % 2 === 1 ? 'left' : 'right';
+    }
+    return mode;
+  }
+
+  // A digit other than the target for the unattended ear
+  function pickDistractor(number) {
+    const digit = 1 + Math.floor(earRandom() * 8);
+    return digit >= number ? digit + 1 : digit;
+  }
+
+  function scheduleOnset(onset) {
+    onsetTimerId = scheduler.setTimeout(() => {
+      onsetTimerId = null;
+      presentQueuedNumber();
+    }, Math.max(0, onset - clock.now()));
+  }
+
+  // Pass a queued number to present(); it may report the voice and the measured onset
+  function deliver(presentation) {
+    let delivery;
+    try {
+      delivery = Promise.resolve(present(presentation.number, presentation.trial, presentation.voice, presentation.onset, presentation.details));
+    } catch (error) {
+      delivery = Promise.reject(error);
+    }
+    delivery.then(result => {
+      if (!result || presentation.cancelled) {
+        return;
+      }
+      const trial = presentation.trial;
+      if (trial && result.voice) {
+        trial.voice = result.voice;
+      }
+      if (trial && typeof result.duration === 'number') {
+        trial.stimulusDuration = result.duration;
+      }
+      if (typeof result.onset === 'number') {
+        presentation.measuredOnset = result.onset;
+        if (trial) {
+          trial.measuredOnset = result.onset;
+          // Already current - response times count from the real onset
+          if (state.sessionHistory[state.sessionHistory.length - 1] === trial) {
+            state.responseWindowStart = result.onset;
+          }
+        }
+      }
+    }).catch(error => {
+      console.error('Error presenting number:', error);
+    });
+  }
+
+  // The queued number's onset has arrived - it becomes the current trial
+  function presentQueuedNumber() {
+    const presentation = queuedPresentation;
+    queuedPresentation = null;
+    if (!presentation || !state.sessionActive) {
+      return;
+    }
+
+    closeCurrentTrial();
+
+    // [수정됨] 문제가 바뀌는 순간, 이전 정답과 시간을 기록해둡니다.
+    const now = clock.now();
+    if (state.correctAnswer !== null) {
+      state.previousRoundAnswer = state.correctAnswer;
+      state.lastRoundChangeTime = now;
+      state.inputBlockedUntil = now + settings.inputBlockDuration; // 입력 차단 시작
+    }
+
+    state.currentNumber = presentation.number;
+    const trial = presentation.trial;
+    if (trial) {
+      trial.isi = state.currentISIValue;
+      state.correctAnswer = trial.correctAnswer;
+      state.sessionHistory.push(trial);
+      state.answerProcessed = false;
+      state.processingAnswer = false;
+    }
+    state.responseWindowStart = presentation.measuredOnset !== null ? presentation.measuredOnset : presentation.onset;
+
+    emit('trialPresented', { number: presentation.number, trial: trial, voice: presentation.voice, ear: presentation.details.ear, modality: presentation.details.modality });
+
+    // The next onset is one interval after this one
+    scheduleQueue(presentation.onset + state.currentISIValue);
+  }
+
+  // Update the timer every second
+  function updateTimer() {
+    lastTickTime = clock.now();
+    state.remainingTime--;
+    emit('tick', { remainingTime: state.remainingTime });
+
+    if (state.remainingTime <= 0) {
+      end();
+    }
+  }
+
+  function getSummary() {
+    return {
+      seed: state.seed,
+      sequenceRules: Object.assign({}, settings.sequenceRules),
+      staircase: settings.adaptive ? Object.assign({}, settings.staircase) : null,
+      adaptiveAlgorithm: settings.adaptive ? settings.adaptiveAlgorithm : null,
+      targetAccuracy: settings.adaptive && settings.adaptiveAlgorithm !== 'run' ? settings.targetAccuracy : null,
+      thresholdISI: adaptiveController ? adaptiveController.getThreshold() : null,
+      trainingTime: settings.sessionDuration * 60 - state.remainingTime, // seconds, pauses excluded
+      pausedTime: state.pausedTime,
+      pauses: state.pauses.slice(),
+      voices: voices ? voices.slice() : null,
+      spatial: settings.spatial.mode !== 'center' ? Object.assign({}, settings.spatial) : null,
+      earAccuracy: getEarAccuracy(state.sessionHistory),
+      modality: settings.modality,
+      crossModalAnswer: settings.crossModalAnswer,
+      modalityBreakdown: settings.modality === 'mixed' ? getModalityBreakdown(state.sessionHistory) : null,
+      onsetTiming: getOnsetTiming(state.sessionHistory),
+      stimulusTiming: getStimulusTiming(state.sessionHistory),
+      attemptSummary: getAttemptSummary(state.sessionHistory),
+      outputLatency: settings.modality === 'visual' ? null : settings.outputLatency,
+      totalCorrect: state.totalCorrect,
+      totalAttempts: state.totalAttempts,
+      accuracy: state.totalAttempts > 0 ? Math.round((state.totalCorrect / state.totalAttempts) * 100) : 0,
+      lowestISI: state.lowestISI,
+      nbackValue: settings.nbackValue,
+      constrainSumTo9: task.constrainSumTo9,
+      operation: task.operation,
+      offset: task.offset,
+      sessionDuration: settings.sessionDuration,
+      sessionHistory: state.sessionHistory
+    };
+  }
+
+  // Start the session
+  function start() {
+    if (state.sessionActive) {
+      return;
+    }
+    state.sessionActive = true;
+    sessionStartTime = clock.now();
+    lastTickTime = sessionStartTime;
+    trainingTimerId = scheduler.setInterval(updateTimer, 1000);
+
+    // Start presenting numbers after short delay
+    scheduleQueue(sessionStartTime + settings.startDelay);
+  }
+
+  // Pause: freeze the countdown and the upcoming onset
+  function pause(reason) {
+    if (!state.sessionActive || state.paused) {
+      return false;
+    }
+    const now = clock.now();
+    state.paused = true;
+    pauseStartedAt = now;
+    state.pauses.push({ start: now - sessionStartTime, duration: null, reason: reason || 'manual' });
+
+    frozenTimers = {
+      tickElapsed: Math.min(1000, now - lastTickTime),
+      queue: queueTimerId !== null,
+      // Already handed to present() - the presenter drops its audio, it is queued again on resume
+      presentation: queuedPresentation
+    };
+    if (queuedPresentation) {
+      queuedPresentation.cancelled = true;
+      queuedPresentation = null;
+    }
+    clearAllTimers();
+
+    emit('paused', { reason: reason || 'manual' });
+    return true;
+  }
+
+  // Resume: shift every pending onset by the paused time
+  function resume() {
+    if (!state.sessionActive || !state.paused) {
+      return false;
+    }
+    const now = clock.now();
+    const pausedFor = now - pauseStartedAt;
+    state.paused = false;
+    state.pausedTime += pausedFor;
+    state.pauses[state.pauses.length - 1].duration = pausedFor;
+
+    // Shift time marks so response times and input blocking ignore the pause
+    state.responseWindowStart += pausedFor;
+    state.lastRoundChangeTime += pausedFor;
+    state.inputBlockedUntil += pausedFor;
+    state.nextPresentationTime += pausedFor;
+
+    const frozen = frozenTimers;
+    frozenTimers = null;
+
+    // Countdown continues from where it stopped within the current second
+    lastTickTime = now - frozen.tickElapsed;
+    tickTimeoutId = scheduler.setTimeout(() => {
+      tickTimeoutId = null;
+      updateTimer();
+      if (state.sessionActive && !state.paused) {
+        trainingTimerId = scheduler.setInterval(updateTimer, 1000);
+      }
+    }, 1000 - frozen.tickElapsed);
+
+    if (frozen.presentation) {
+      const presentation = Object.assign({}, frozen.presentation, {
+        cancelled: false,
+        onset: state.nextPresentationTime,
+        measuredOnset: null
+      });
+      if (presentation.trial) {
+        presentation.trial.intendedOnset = presentation.onset;
+        presentation.trial.measuredOnset = null;
+      }
+      queuedPresentation = presentation;
+      deliver(presentation);
+      scheduleOnset(presentation.onset);
+    } else if (frozen.queue) {
+      scheduleQueue(state.nextPresentationTime);
+    }
+
+    emit('resumed', { pausedFor: pausedFor });
+    return true;
+  }
+
+  // End the session and report the summary
+  function end() {
+    if (!state.sessionActive) {
+      return;
+    }
+    clearAllTimers();
+
+    // Close an open pause so the log has its duration
+    if (state.paused) {
+      const pausedFor = clock.now() - pauseStartedAt;
+      state.pausedTime += pausedFor;
+      state.pauses[state.pauses.length - 1].duration = pausedFor;
+      state.paused = false;
+    }
+
+    // Reset state completely for clean session end
+    state.sessionActive = false;
+    state.processingAnswer = false;
+    state.answerProcessed = false;
+
+    emit('sessionEnded', getSummary());
+  }
+
+  // Stop everything without reporting (e.g. page unload)
+  function dispose() {
+    clearAllTimers();
+    state.sessionActive = false;
+    Object.keys(listeners).forEach(eventName => delete listeners[eventName]);
+  }
+
+  const engine = {
+    state: state,
+    settings: settings,
+    task: task,
+    answerRange: answerRange,
+    on: on,
+    off: off,
+    start: start,
+    end: end,
+    pause: pause,
+    resume: resume,
+    dispose: dispose,
+    submitAnswer: submitAnswer,
+    recordInput: recordInput,
+    getSummary: getSummary,
+    now: () => clock.now() // Session clock - compare state times against this, not Date.now()
+  };
+  return engine;
+}
+
+// Allow the engine to be loaded from Node scripts and tests
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_ENGINE_CONFIG,
+    DEFAULT_SEQUENCE_RULES,
+    DEFAULT_STAIRCASE,
+    DEFAULT_SPATIAL,
+    SPATIAL_MODES,
+    MODALITIES,
+    ADAPTIVE_ALGORITHMS,
+    DEFAULT_TASK,
+    OPERATIONS,
+    INPUT_EVENT_TYPES,
+    getAnswerRange,
+    getOperationLabel,
+    normalizeStaircase,
+    normalizeSpatial,
+    normalizeOutputLatency,
+    getEarAccuracy,
+    getModalityBreakdown,
+    getStimulusTiming,
+    getAttemptSummary,
+    createSessionEngine,
+    createRandomSeed,
+    createSeededRandom,
+    parseSeed,
+    generateNumber,
+    calculateNbackAnswer
+  };
+}
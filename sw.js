@@ -0,0 +1,91 @@
+// ==========================================
+// Service worker - offline support
+// 앱 파일, 음성 파일, 라이브러리를 캐시해 인터넷 없이도 훈련할 수 있게 합니다.
+//
+// Bump CACHE_VERSION whenever a cached file changes. The new worker then installs
+// next to the old one and the page offers to reload (see registerServiceWorker in script.js).
+// ==========================================
+
+const CACHE_VERSION = 'v13';
+const CACHE_NAME = `pasat-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'styles.css',
+  'session-engine.js',
+  'voice-store.js',
+  'script.js',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'vendor/howler.min.js',
+  'vendor/chart.umd.min.js',
+  'vendor/fonts/fonts.css',
+  'vendor/fonts/plus-jakarta-sans-latin-300-normal.woff2',
+  'vendor/fonts/plus-jakarta-sans-latin-400-normal.woff2',
+  'vendor/fonts/plus-jakarta-sans-latin-500-normal.woff2',
+  'vendor/fonts/plus-jakarta-sans-latin-600-normal.woff2',
+  'vendor/fonts/plus-jakarta-sans-latin-700-normal.woff2',
+  'audio/manifest.json',
+  'audio/one.wav',
+  'audio/two.wav',
+  'audio/three.wav',
+  'audio/four.wav',
+  'audio/five.wav',
+  'audio/six.wav',
+  'audio/seven.wav',
+  'audio/eight.wav',
+  'audio/nine.wav',
+  'audio/voice-a.wav',
+  'audio/voice-b.wav'
+];
+
+// Cache everything up front. The new version waits until the page asks it to take over.
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+// Drop caches of older versions
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('pasat-') && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page's "Reload" button on the update prompt
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Cache first; anything else from this site is cached the first time it loads
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then(cached => {
+      if (cached) {
+        return cached;
+      }
+      return fetch(request).then(response => {
+        // Range responses (audio streaming) can't be stored
+        if (response.ok && response.status === 200) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      });
+    })
+  );
+});
@@ -0,0 +1,994 @@
+// ==========================================
+// Headless session engine checks
+// 가짜 시계/타이머로 엔진을 돌려 브라우저 없이 채점, 적응형 ISI, 타이밍 경합, seed 재현을 확인합니다.
+// 숫자열 규칙은 generateNumber를 seed 고정 난수로 직접 돌려 확인합니다.
+//
+// Run:  node --test tests/
+// ==========================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createSessionEngine,
+  createSeededRandom,
+  parseSeed,
+  DEFAULT_SEQUENCE_RULES,
+  DEFAULT_TASK,
+  DEFAULT_STAIRCASE,
+  ADAPTIVE_ALGORITHMS,
+  normalizeStaircase,
+  normalizeSpatial,
+  normalizeOutputLatency,
+  getAnswerRange,
+  getOperationLabel,
+  generateNumber,
+  calculateNbackAnswer
+} = require('../session-engine.js');
+
+// Clock and scheduler that only move when advanced
+function createFakeTime() {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  function add(fn, delay, interval) {
+    const id = nextId++;
+    timers.set(id, { at: now + Math.max(0, delay), fn: fn, interval: interval });
+    return id;
+  }
+
+  function nextTimer() {
+    let next = null;
+    timers.forEach((timer, id) => {
+      if (!next || timer.at < next.timer.at || (timer.at === next.timer.at && id < next.id)) {
+        next = { id: id, timer: timer };
+      }
+    });
+    return next;
+  }
+
+  // Fire the earliest timer; returns false when none is due by `limit`
+  async function step(limit) {
+    await flush();
+    const next = nextTimer();
+    if (!next || next.timer.at > limit) {
+      return false;
+    }
+    now = next.timer.at;
+    if (next.timer.interval) {
+      next.timer.at += next.timer.interval;
+    } else {
+      timers.delete(next.id);
+    }
+    next.timer.fn();
+    await flush();
+    return true;
+  }
+
+  return {
+    clock: { now: () => now },
+    scheduler: {
+      setTimeout: (fn, delay) => add(fn, delay, 0),
+      clearTimeout: id => timers.delete(id),
+      setInterval: (fn, delay) => add(fn, delay, delay),
+      clearInterval: id => timers.delete(id)
+    },
+    async advance(ms) {
+      const target = now + ms;
+      while (await step(target)) {
+        // keep firing
+      }
+      now = target;
+    },
+    step: () => step(Infinity),
+    pending: () => timers.size
+  };
+}
+
+// Let resolved promises (e.g. present()) run their callbacks
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Start an engine on fake time; `pending` is what the answer field holds when a trial times out
+function startSession(config, deps) {
+  const time = createFakeTime();
+  const session = { time: time, pending: null, scored: [], isiChanges: [] };
+  session.engine = createSessionEngine(Object.assign({ seed: 42, startISI: 3000, sessionDuration: 5 }, config), Object.assign({
+    clock: time.clock,
+    scheduler: time.scheduler,
+    getPendingAnswer: () => session.pending
+  }, deps));
+  session.engine.on('answerScored', event => session.scored.push(event));
+  session.engine.on('isiChanged', event => session.isiChanges.push(event));
+  session.engine.start();
+  return session;
+}
+
+// Run the timers until the next trial is current and return it
+async function nextTrial(session) {
+  const history = session.engine.state.sessionHistory;
+  const count = history.length;
+  while (history.length === count) {
+    assert.ok(await session.time.step(), 'the engine stopped scheduling numbers');
+  }
+  return history[history.length - 1];
+}
+
+// Answer the current trial `delay` ms after its response window opened
+async function answer(session, value, delay = 500) {
+  await session.time.advance(delay);
+  return session.engine.submitAnswer(value);
+}
+
+test('each trial asks for the sum with the previous number', async () => {
+  const session = startSession();
+  for (let i = 0; i < 5; i++) {
+    const trial = await nextTrial(session);
+    assert.equal(trial.correctAnswer, trial.currentNumber + trial.previousNumber);
+    assert.equal(trial.correctAnswer, calculateNbackAnswer(trial.currentNumber, session.engine.state.numberSequence, 1));
+  }
+});
+
+test('2-back pairs each number with the one two places back', async () => {
+  const session = startSession({ nbackValue: 2 });
+  const trial = await nextTrial(session);
+  const sequence = session.engine.state.numberSequence;
+  assert.equal(sequence.length, 3);
+  assert.equal(trial.previousNumber, sequence[0]);
+  assert.equal(trial.correctAnswer, sequence[0] + sequence[2]);
+});
+
+test('a correct answer is scored at once with the time since the response window opened', async () => {
+  const session = startSession();
+  const trial = await nextTrial(session);
+
+  assert.equal(await answer(session, trial.correctAnswer, 700), true);
+  assert.equal(trial.correct, true);
+  assert.equal(trial.userAnswer, trial.correctAnswer);
+  assert.equal(trial.responseTime, 700);
+  assert.deepEqual(session.scored.map(event => [event.correct, event.source]), [[true, 'response']]);
+
+  // Only the first answer counts
+  assert.equal(session.engine.submitAnswer(trial.correctAnswer), false);
+  assert.equal(session.engine.state.totalAttempts, 1);
+});
+
+test('a wrong answer is scored as incorrect', async () => {
+  const session = startSession();
+  const trial = await nextTrial(session);
+
+  assert.equal(await answer(session, trial.correctAnswer + 1), true);
+  assert.equal(trial.correct, false);
+  assert.equal(session.engine.state.totalCorrect, 0);
+  assert.equal(session.engine.state.totalAttempts, 1);
+});
+
+test('numbers are queued ahead of their onset, one interval apart', async () => {
+  const queued = [];
+  let time = null;
+  const session = startSession({ lookahead: 200 }, {
+    present: (number, trial, voice, onset) => {
+      queued.push({ at: time.clock.now(), onset: onset });
+      return Promise.resolve();
+    }
+  });
+  time = session.time;
+
+  const first = await nextTrial(session);
+  await answer(session, first.correctAnswer);
+  const second = await nextTrial(session);
+  assert.deepEqual(queued.slice(0, 3), [
+    { at: 800, onset: 1000 },
+    { at: 3800, onset: 4000 },
+    { at: 6800, onset: 7000 }
+  ]);
+  assert.equal(first.intendedOnset, 4000);
+  assert.equal(second.intendedOnset - first.intendedOnset, 3000);
+  // Nothing measured, nothing reported
+  assert.equal(session.engine.getSummary().onsetTiming, null);
+});
+
+test('response times count from the measured onset', async () => {
+  const session = startSession({}, {
+    present: (number, trial, voice, onset) => Promise.resolve({ onset: onset + 30 })
+  });
+  const trial = await nextTrial(session);
+  assert.equal(trial.measuredOnset, trial.intendedOnset + 30);
+  await answer(session, trial.correctAnswer, 1000);
+  assert.equal(trial.responseTime, 970);
+
+  await answer(session, (await nextTrial(session)).correctAnswer);
+  assert.deepEqual(session.engine.getSummary().onsetTiming, { measured: 2, meanError: 30, maxError: 30 });
+});
+
+test('the output latency is taken off the response times of spoken numbers', async () => {
+  const session = startSession({ outputLatency: 120 });
+  const trial = await nextTrial(session);
+  await answer(session, trial.correctAnswer, 700);
+  assert.equal(trial.responseTime, 580);
+  // Never below zero
+  const early = await nextTrial(session);
+  await answer(session, early.correctAnswer, 50);
+  assert.equal(early.responseTime, 0);
+  assert.equal(session.engine.getSummary().outputLatency, 120);
+
+  // Shown numbers do not go through the audio output
+  const visual = startSession({ modality: 'visual', outputLatency: 120 });
+  const shown = await nextTrial(visual);
+  await answer(visual, shown.correctAnswer, 700);
+  assert.equal(shown.responseTime, 700);
+  assert.equal(visual.engine.getSummary().outputLatency, null);
+});
+
+test('output latencies are rounded and kept within 0-1000 ms', () => {
+  assert.equal(normalizeOutputLatency('42.6'), 43);
+  assert.equal(normalizeOutputLatency(-5), 0);
+  assert.equal(normalizeOutputLatency(5000), 1000);
+  assert.equal(normalizeOutputLatency('abc'), 0);
+  assert.equal(normalizeOutputLatency(undefined), 0);
+});
+
+test('measured digit lengths are recorded with the time left in each interval', async () => {
+  const session = startSession({}, {
+    present: number => Promise.resolve({ duration: 400 + number * 10 })
+  });
+  for (let i = 0; i < 6; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer);
+  }
+  const history = session.engine.state.sessionHistory;
+  history.forEach(trial => assert.equal(trial.stimulusDuration, 400 + trial.currentNumber * 10));
+
+  const durations = history.map(trial => trial.stimulusDuration);
+  assert.deepEqual(session.engine.getSummary().stimulusTiming, {
+    measured: 6,
+    meanDuration: Math.round(durations.reduce((sum, duration) => sum + duration, 0) / 6),
+    maxDuration: Math.max(...durations),
+    // The interval shortened to 2900 ms after four correct answers
+    minResponseWindow: Math.min(...history.map(trial => trial.isi - trial.stimulusDuration))
+  });
+  assert.ok(history.some(trial => trial.isi === 2900));
+
+  const silent = startSession();
+  await nextTrial(silent);
+  assert.equal(silent.engine.getSummary().stimulusTiming, null);
+});
+
+test('input events are logged on the current trial with their time', async () => {
+  const session = startSession({ outputLatency: 100 });
+  // Nothing to log on before the first trial
+  assert.equal(session.engine.recordInput('answer', 3), false);
+
+  const trial = await nextTrial(session);
+  await session.time.advance(200);
+  assert.equal(session.engine.recordInput('blocked', 4), true);
+  await session.time.advance(600);
+  session.engine.recordInput('partial', 1);
+  await session.time.advance(100);
+  session.engine.recordInput('correction');
+  assert.equal(session.engine.recordInput('shout', 1), false);
+  await session.time.advance(100);
+  session.engine.recordInput('answer', trial.correctAnswer);
+  session.engine.submitAnswer(trial.correctAnswer);
+
+  // Times count like responseTime, the output latency included
+  assert.deepEqual(trial.attempts, [
+    { type: 'blocked', value: 4, time: 100 },
+    { type: 'partial', value: 1, time: 700 },
+    { type: 'correction', value: null, time: 800 },
+    { type: 'answer', value: trial.correctAnswer, time: 900 }
+  ]);
+  // Blocked input was meant for the previous number
+  assert.equal(trial.firstKeyLatency, 700);
+  assert.equal(trial.responseTime, 900);
+
+  session.engine.pause();
+  assert.equal(session.engine.recordInput('answer', 1), false);
+});
+
+test('the attempt summary separates unanswered trials from wrong answers', async () => {
+  const session = startSession();
+  const wrong = await nextTrial(session);
+  await session.time.advance(400);
+  session.engine.recordInput('answer', wrong.correctAnswer + 1);
+  session.engine.recordInput('correction');
+  await session.time.advance(400);
+  session.engine.recordInput('answer', wrong.correctAnswer);
+  session.engine.submitAnswer(wrong.correctAnswer);
+
+  const late = await nextTrial(session);
+  session.engine.recordInput('late', wrong.correctAnswer);
+  await nextTrial(session);
+  assert.equal(late.correct, false);
+
+  assert.deepEqual(session.engine.getSummary().attemptSummary, {
+    unanswered: 1,
+    trialsWithWrongAnswers: 1,
+    wrongAnswers: 1,
+    corrections: 1,
+    blocked: 0,
+    late: 1,
+    meanFirstKeyLatency: 400
+  });
+});
+
+test('an unanswered trial is scored when the next number starts', async () => {
+  const session = startSession();
+  const silent = await nextTrial(session);
+  await nextTrial(session);
+  assert.equal(silent.correct, false);
+  assert.equal(silent.userAnswer, null);
+  assert.equal(silent.responseTime, 3000);
+  assert.deepEqual(session.scored.map(event => event.source), ['timeout']);
+
+  const summary = session.engine.getSummary();
+  assert.equal(summary.totalAttempts, 1);
+  assert.equal(summary.accuracy, 0);
+});
+
+test('an answer still being typed is scored when the next number starts', async () => {
+  const session = startSession();
+  const trial = await nextTrial(session);
+  session.pending = trial.correctAnswer;
+  await nextTrial(session);
+  assert.equal(trial.correct, true);
+  assert.equal(trial.userAnswer, trial.correctAnswer);
+  assert.deepEqual(session.scored.map(event => [event.correct, event.source]), [[true, 'timeout']]);
+});
+
+test('four correct answers in a row shorten the interval by 100 ms', async () => {
+  const session = startSession();
+  for (let i = 0; i < 4; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer);
+  }
+  assert.equal(session.engine.state.currentISIValue, 2900);
+  assert.deepEqual(session.isiChanges, [{ isi: 2900, previousISI: 3000 }]);
+  assert.equal(session.engine.getSummary().lowestISI, 2900);
+});
+
+test('four errors in a row lengthen the interval by 100 ms', async () => {
+  const session = startSession();
+  for (let i = 0; i < 4; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer + 1);
+  }
+  assert.equal(session.engine.state.currentISIValue, 3100);
+  assert.equal(session.engine.getSummary().lowestISI, 3000);
+});
+
+test('the interval never drops below 500 ms', async () => {
+  const session = startSession({ startISI: 500 });
+  for (let i = 0; i < 4; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer, 100);
+  }
+  assert.equal(session.engine.state.currentISIValue, 500);
+  assert.deepEqual(session.isiChanges, []);
+});
+
+test('the staircase speeds up after its configured run of correct answers', async () => {
+  const session = startSession({ staircase: { correctRunLength: 3, incorrectRunLength: 3, stepDown: 200, stepUp: 100 } });
+  for (let i = 0; i < 3; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer);
+  }
+  assert.equal(session.engine.state.currentISIValue, 2800);
+  assert.deepEqual(session.isiChanges, [{ isi: 2800, previousISI: 3000 }]);
+});
+
+test('the staircase slows down after its configured run of errors', async () => {
+  const session = startSession({ staircase: { correctRunLength: 3, incorrectRunLength: 2, stepDown: 100, stepUp: 250 } });
+  await answer(session, (await nextTrial(session)).correctAnswer + 1);
+  assert.equal(session.engine.state.currentISIValue, 3000);
+  await answer(session, (await nextTrial(session)).correctAnswer + 1);
+  assert.equal(session.engine.state.currentISIValue, 3250);
+});
+
+test('the staircase stays within its configured limits', async () => {
+  const fast = startSession({ startISI: 700, staircase: { correctRunLength: 1, stepDown: 150, minISI: 600 } });
+  for (let i = 0; i < 3; i++) {
+    await answer(fast, (await nextTrial(fast)).correctAnswer, 100);
+  }
+  assert.equal(fast.engine.state.currentISIValue, 600);
+
+  const slow = startSession({ startISI: 3000, staircase: { incorrectRunLength: 1, stepUp: 400, maxISI: 3500 } });
+  for (let i = 0; i < 3; i++) {
+    await answer(slow, (await nextTrial(slow)).correctAnswer + 1);
+  }
+  assert.equal(slow.engine.state.currentISIValue, 3500);
+});
+
+test('staircase settings are filled in and clamped', () => {
+  assert.deepEqual(normalizeStaircase(null), DEFAULT_STAIRCASE);
+  assert.deepEqual(normalizeStaircase({ correctRunLength: 0, incorrectRunLength: '12', stepDown: 5, stepUp: 'x', minISI: 100, maxISI: 20000 }), {
+    correctRunLength: 1,
+    incorrectRunLength: 10,
+    stepDown: 10,
+    stepUp: DEFAULT_STAIRCASE.stepUp,
+    minISI: 200,
+    maxISI: 10000
+  });
+  // The ceiling never sits below the floor
+  const crossed = normalizeStaircase({ minISI: 3000, maxISI: 1000 });
+  assert.equal(crossed.maxISI, 3000);
+});
+
+// An adaptive algorithm on its own, fed answers directly - trial.isi is the interval it was answered at
+function createController(algorithm, options = {}) {
+  const state = { currentISIValue: options.startISI || 3000, consecutiveCorrect: 0, consecutiveIncorrect: 0 };
+  const controller = ADAPTIVE_ALGORITHMS[algorithm].create({
+    staircase: normalizeStaircase(options.staircase),
+    targetAccuracy: options.targetAccuracy || 0.8,
+    startISI: state.currentISIValue
+  }, state);
+  return {
+    state: state,
+    controller: controller,
+    // Score one answer the way the engine does and apply the returned interval
+    answer(isCorrect) {
+      if (isCorrect) {
+        state.consecutiveCorrect++;
+        state.consecutiveIncorrect = 0;
+      } else {
+        state.consecutiveCorrect = 0;
+        state.consecutiveIncorrect++;
+      }
+      const next = controller.update(isCorrect, { isi: state.currentISIValue });
+      if (next !== null) {
+        state.currentISIValue = next;
+      }
+      return next;
+    }
+  };
+}
+
+test('the run staircase estimates the threshold from its reversals', () => {
+  const track = createController('run', { staircase: { correctRunLength: 1, incorrectRunLength: 1 } });
+  assert.equal(track.controller.getThreshold(), null);
+  [true, true, false, true, false].forEach(isCorrect => track.answer(isCorrect));
+  // Turned around at 2800 (down -> up), 2900 (up -> down) and 2800 again
+  assert.equal(track.state.currentISIValue, 2900);
+  assert.equal(track.controller.getThreshold(), Math.round((2800 + 2900 + 2800) / 3));
+});
+
+test('the weighted up-down steps up by stepDown * p / (1 - p) after an error', () => {
+  const track = createController('weighted', { targetAccuracy: 0.75, staircase: { stepDown: 100 } });
+  assert.equal(track.answer(true), 2900);
+  assert.equal(track.answer(false), 3200);
+  assert.equal(track.answer(true), 3100);
+  assert.equal(track.controller.getThreshold(), Math.round((2900 + 3200) / 2));
+});
+
+test('PEST waits for clear evidence, halves the step on reversals and doubles it on the third step', () => {
+  const track = createController('pest', { staircase: { stepDown: 100 } });
+  // Five in a row is the first clear sign of doing better than 80%
+  for (let i = 0; i < 4; i++) {
+    assert.equal(track.answer(true), null);
+  }
+  assert.equal(track.answer(true), 2600);
+
+  // Two errors: clearly worse -> reversal, step 400 -> 200
+  assert.equal(track.answer(false), null);
+  assert.equal(track.answer(false), 2800);
+  assert.equal(track.answer(false), null);
+  assert.equal(track.answer(false), 3000);
+  // Third step in the same direction doubles the step
+  track.answer(false);
+  assert.equal(track.answer(false), 3400);
+  assert.equal(track.controller.getThreshold(), 3400);
+});
+
+test('QUEST homes in on the interval where the listener starts failing', () => {
+  const track = createController('quest', { startISI: 2500 });
+  const random = createSeededRandom(3);
+  // A listener who gets 95% right above 1500 ms and 20% below
+  for (let i = 0; i < 150; i++) {
+    const isi = track.state.currentISIValue;
+    const next = track.answer(random() < (isi >= 1500 ? 0.95 : 0.2));
+    assert.equal(next % 10, 0);
+    assert.ok(next >= DEFAULT_STAIRCASE.minISI && next <= DEFAULT_STAIRCASE.maxISI);
+  }
+  assert.ok(Math.abs(track.controller.getThreshold() - 1500) < 250, `threshold ${track.controller.getThreshold()}`);
+});
+
+test('sessions run the chosen algorithm and report its estimate', async () => {
+  const session = startSession({ adaptiveAlgorithm: 'weighted', targetAccuracy: 0.8, staircase: { stepDown: 100 } });
+  await answer(session, (await nextTrial(session)).correctAnswer);
+  assert.equal(session.engine.state.currentISIValue, 2900);
+  await answer(session, (await nextTrial(session)).correctAnswer + 1);
+  assert.equal(session.engine.state.currentISIValue, 3300);
+
+  const summary = session.engine.getSummary();
+  assert.equal(summary.adaptiveAlgorithm, 'weighted');
+  assert.equal(summary.targetAccuracy, 0.8);
+  assert.equal(summary.thresholdISI, 2900);
+
+  // Unknown algorithms fall back to the run staircase, targets are clamped
+  const fallback = startSession({ adaptiveAlgorithm: 'nope', targetAccuracy: 2 });
+  assert.equal(fallback.engine.settings.adaptiveAlgorithm, 'run');
+  assert.equal(fallback.engine.settings.targetAccuracy, 0.95);
+  assert.equal(fallback.engine.getSummary().targetAccuracy, null);
+});
+
+test('manual mode keeps the interval fixed', async () => {
+  const session = startSession({ adaptive: false, staircase: { correctRunLength: 1 } });
+  for (let i = 0; i < 8; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer);
+  }
+  assert.equal(session.engine.state.currentISIValue, 3000);
+  assert.deepEqual(session.isiChanges, []);
+  assert.equal(session.engine.getSummary().staircase, null);
+  assert.equal(session.engine.getSummary().thresholdISI, null);
+});
+
+test('input is blocked for a moment after the number changes', async () => {
+  const session = startSession({ inputBlockDuration: 300 });
+  const first = await nextTrial(session);
+  await nextTrial(session);
+  const { inputBlockedUntil, lastRoundChangeTime, previousRoundAnswer } = session.engine.state;
+  assert.equal(previousRoundAnswer, first.correctAnswer);
+  assert.equal(inputBlockedUntil - lastRoundChangeTime, 300);
+});
+
+test('the session ends when its time runs out and stops all timers', async () => {
+  const session = startSession({ sessionDuration: 1 });
+  let summary = null;
+  session.engine.on('sessionEnded', result => {
+    summary = result;
+  });
+  await answer(session, (await nextTrial(session)).correctAnswer);
+  await session.time.advance(60 * 1000);
+
+  assert.equal(session.engine.state.sessionActive, false);
+  assert.equal(summary.totalCorrect, 1);
+  assert.equal(summary.sessionHistory, session.engine.state.sessionHistory);
+  assert.equal(session.time.pending(), 0);
+  assert.equal(session.engine.submitAnswer(1), false);
+});
+
+test('pausing shifts the response window and the next presentation by the paused time', async () => {
+  const session = startSession();
+  const trial = await nextTrial(session);
+  await session.time.advance(1000);
+  const { responseWindowStart, nextPresentationTime } = session.engine.state;
+
+  assert.equal(session.engine.pause(), true);
+  assert.equal(session.engine.pause(), false);
+  assert.equal(session.engine.submitAnswer(trial.correctAnswer), false);
+  // Nothing runs while paused - no miss, no next number
+  await session.time.advance(60 * 1000);
+  assert.equal(session.engine.state.sessionHistory.length, 1);
+  assert.deepEqual(session.scored, []);
+
+  assert.equal(session.engine.resume(), true);
+  assert.equal(session.engine.state.responseWindowStart, responseWindowStart + 60000);
+  assert.equal(session.engine.state.nextPresentationTime, nextPresentationTime + 60000);
+  await answer(session, trial.correctAnswer);
+  assert.equal(trial.responseTime, 1500);
+
+  // The next number comes when the rest of the interval has passed
+  await nextTrial(session);
+  assert.equal(session.time.clock.now(), nextPresentationTime + 60000);
+});
+
+test('a number queued before a pause is queued again with a shifted onset', async () => {
+  const queued = [];
+  const session = startSession({ lookahead: 200 }, {
+    present: (number, trial, voice, onset) => {
+      queued.push([number, onset]);
+      return Promise.resolve();
+    }
+  });
+
+  await nextTrial(session);
+  // 100 ms before the next onset: the number is already with present()
+  await session.time.advance(2900);
+  assert.equal(queued.length, 3);
+  const [number, onset] = queued[2];
+  session.engine.pause('hidden');
+  await session.time.advance(5000);
+  assert.equal(queued.length, 3);
+  session.engine.resume();
+
+  assert.deepEqual(queued[3], [number, onset + 5000]);
+  assert.equal(session.engine.state.nextPresentationTime, onset + 5000);
+  const next = await nextTrial(session);
+  assert.equal(next.currentNumber, number);
+  assert.equal(next.intendedOnset, onset + 5000);
+  assert.equal(session.engine.state.responseWindowStart, onset + 5000);
+});
+
+test('the paused time does not count toward an unanswered trial', async () => {
+  const session = startSession();
+  const silent = await nextTrial(session);
+  await session.time.advance(2000);
+  session.engine.pause();
+  await session.time.advance(10000);
+  session.engine.resume();
+
+  await nextTrial(session);
+  assert.equal(silent.correct, false);
+  assert.equal(silent.responseTime, 3000);
+  assert.deepEqual(session.scored.map(event => event.source), ['timeout']);
+});
+
+test('paused time is logged and not counted as training time', async () => {
+  const session = startSession({ sessionDuration: 1 });
+  let summary = null;
+  let endedAt = null;
+  session.engine.on('sessionEnded', result => {
+    summary = result;
+    endedAt = session.time.clock.now();
+  });
+  // Paused during the start delay, 300 ms into the countdown's first second
+  await session.time.advance(300);
+  session.engine.pause();
+  await session.time.advance(20000);
+  session.engine.resume();
+  assert.equal(session.engine.state.sessionHistory.length, 0);
+  await nextTrial(session);
+
+  session.engine.pause('hidden');
+  await session.time.advance(5000);
+  // The first trial needs two numbers: 1 s start delay + 3 s interval
+  assert.equal(session.engine.getSummary().trainingTime, 4);
+  session.engine.resume();
+
+  await session.time.advance(60 * 1000);
+  assert.equal(session.engine.state.sessionActive, false);
+  assert.equal(summary.trainingTime, 60);
+  assert.equal(summary.pausedTime, 25000);
+  assert.deepEqual(summary.pauses.map(pause => [pause.start, pause.duration, pause.reason]), [
+    [300, 20000, 'manual'],
+    [20000 + 4000, 5000, 'hidden']
+  ]);
+  // The countdown ran a full minute of unpaused time
+  assert.equal(endedAt, 60 * 1000 + 25000);
+});
+
+// Numbers presented in the first `count` trials, every one answered correctly
+async function presentedSequence(config, count) {
+  const session = startSession(config);
+  for (let i = 0; i < count; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer);
+  }
+  return session.engine.state.numberSequence.slice();
+}
+
+test('the same seed replays the same numbers', async () => {
+  const first = await presentedSequence({ seed: 1234 }, 30);
+  assert.deepEqual(await presentedSequence({ seed: 1234 }, 30), first);
+  assert.notDeepEqual(await presentedSequence({ seed: 4321 }, 30), first);
+});
+
+test('answers never change the seeded numbers', async () => {
+  const silent = startSession({ seed: 99 });
+  for (let i = 0; i < 20; i++) {
+    await nextTrial(silent); // every trial is missed
+  }
+  assert.deepEqual(await presentedSequence({ seed: 99 }, 20), silent.engine.state.numberSequence);
+  assert.equal(silent.engine.getSummary().seed, 99);
+});
+
+test('a session without a seed picks one and reports it', async () => {
+  const session = startSession({ seed: null });
+  await nextTrial(session);
+  const { seed } = session.engine.getSummary();
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 0x100000000);
+  assert.deepEqual(await presentedSequence({ seed: seed }, 1), session.engine.state.numberSequence);
+});
+
+test('the seeded generator is deterministic and stays in [0, 1)', () => {
+  const a = createSeededRandom(7);
+  const b = createSeededRandom(7);
+  for (let i = 0; i < 1000; i++) {
+    const value = a();
+    assert.equal(value, b());
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('seeds are parsed from user input', () => {
+  assert.equal(parseSeed(' 123 '), 123);
+  assert.equal(parseSeed(0), 0);
+  assert.equal(parseSeed(''), null);
+  assert.equal(parseSeed(null), null);
+  assert.equal(parseSeed('-1'), null);
+  assert.equal(parseSeed('1.5'), null);
+  assert.equal(parseSeed('abc'), null);
+});
+
+test('each number is spoken by a voice drawn from the session voices', async () => {
+  const spoken = [];
+  const session = startSession({ voices: ['a', 'b'] }, {
+    present: (number, trial, voice) => {
+      spoken.push(voice);
+      return Promise.resolve();
+    }
+  });
+  for (let i = 0; i < 20; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer);
+  }
+  assert.ok(spoken.includes('a') && spoken.includes('b'));
+  assert.deepEqual(session.engine.state.sessionHistory.map(trial => trial.voice), spoken.slice(1));
+  assert.deepEqual(session.engine.getSummary().voices, ['a', 'b']);
+
+  // Without voices present() gets null
+  const single = startSession({}, {
+    present: (number, trial, voice) => {
+      assert.equal(voice, null);
+      return Promise.resolve();
+    }
+  });
+  assert.equal((await nextTrial(single)).voice, null);
+  assert.equal(single.engine.getSummary().voices, null);
+});
+
+test('mixing voices never changes the digits', async () => {
+  const plain = await presentedSequence({ seed: 77 }, 20);
+  assert.deepEqual(await presentedSequence({ seed: 77, voices: ['a', 'b'] }, 20), plain);
+});
+
+test('the trial records the voice that actually spoke', async () => {
+  const session = startSession({ voices: ['b'] }, {
+    present: () => Promise.resolve({ voice: 'a' })
+  });
+  assert.equal((await nextTrial(session)).voice, 'a');
+});
+
+test('ears alternate or are drawn per number without changing the digits', async () => {
+  const alternate = startSession({ spatial: { mode: 'alternate' } });
+  const ears = [];
+  for (let i = 0; i < 4; i++) {
+    ears.push((await nextTrial(alternate)).ear);
+  }
+  // The first number went to the left ear
+  assert.deepEqual(ears, ['right', 'left', 'right', 'left']);
+
+  const plain = await presentedSequence({ seed: 9 }, 20);
+  assert.deepEqual(await presentedSequence({ seed: 9, spatial: { mode: 'random' } }, 20), plain);
+});
+
+test('a fixed ear with distractors sends another digit to the other ear', async () => {
+  const spatials = [];
+  const session = startSession({ spatial: { mode: 'left', distractors: true } }, {
+    present: (number, trial, voice, onset, spatial) => {
+      spatials.push([number, spatial]);
+      return Promise.resolve();
+    }
+  });
+  for (let i = 0; i < 20; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer);
+  }
+  spatials.forEach(([number, spatial]) => {
+    assert.equal(spatial.ear, 'left');
+    assert.ok(spatial.distractor >= 1 && spatial.distractor <= 9 && spatial.distractor !== number);
+  });
+
+  const summary = session.engine.getSummary();
+  assert.deepEqual(summary.spatial, { mode: 'left', distractors: true });
+  assert.deepEqual(summary.earAccuracy, { left: { correct: 20, total: 20, accuracy: 100 } });
+});
+
+test('ear settings are normalized and centred sessions report no ears', async () => {
+  assert.deepEqual(normalizeSpatial(null), { mode: 'center', distractors: false });
+  assert.deepEqual(normalizeSpatial({ mode: 'up' }), { mode: 'center', distractors: false });
+  // Distractors need a fixed ear
+  assert.deepEqual(normalizeSpatial({ mode: 'random', distractors: true }), { mode: 'random', distractors: false });
+
+  const session = startSession();
+  const trial = await nextTrial(session);
+  assert.equal(trial.ear, 'center');
+  assert.equal(trial.distractor, null);
+  await answer(session, trial.correctAnswer);
+  assert.equal(session.engine.getSummary().spatial, null);
+  assert.equal(session.engine.getSummary().earAccuracy, null);
+});
+
+// Run a session and record every number with the modality present() was asked to use
+async function presentedModalities(config, count) {
+  const presented = [];
+  const session = startSession(config, {
+    present: (number, trial, voice, onset, details) => {
+      presented.push({ number: number, modality: details.modality });
+      return Promise.resolve();
+    }
+  });
+  for (let i = 0; i < count; i++) {
+    await answer(session, (await nextTrial(session)).correctAnswer);
+  }
+  return { session: session, presented: presented };
+}
+
+test('mixed sessions speak or show each number and keep the digits', async () => {
+  const { session, presented } = await presentedModalities({ seed: 11, modality: 'mixed' }, 20);
+  const modalities = presented.map(item => item.modality);
+  assert.ok(modalities.includes('auditory') && modalities.includes('visual'));
+
+  session.engine.state.sessionHistory.forEach((trial, index) => {
+    // Trial i is the (i + 2)th number
+    assert.equal(trial.modality, modalities[index + 1]);
+    assert.equal(trial.modalitySwitch, modalities[index + 1] !== modalities[index]);
+  });
+  assert.deepEqual(session.engine.state.numberSequence.slice(0, 20), await presentedSequence({ seed: 11 }, 19));
+
+  const breakdown = session.engine.getSummary().modalityBreakdown;
+  assert.equal(breakdown.auditory.total + breakdown.visual.total, 20);
+  assert.equal(breakdown.switch.total + breakdown.repeat.total, 20);
+  assert.equal(breakdown.auditory.accuracy, 100);
+  assert.equal(breakdown.repeat.meanResponseTime, 500);
+});
+
+test('cross-modal answers pair each number with the latest digit of the other modality', async () => {
+  const { session, presented } = await presentedModalities({ modality: 'mixed', crossModalAnswer: true, nbackValue: 2 }, 20);
+  assert.equal(session.engine.settings.nbackValue, 1);
+  assert.equal(session.engine.getSummary().crossModalAnswer, true);
+
+  const latest = { auditory: null, visual: null };
+  const expected = [];
+  presented.forEach(item => {
+    const partner = latest[item.modality === 'auditory' ? 'visual' : 'auditory'];
+    if (partner !== null) {
+      expected.push([item.number, partner, item.number + partner]);
+    }
+    latest[item.modality] = item.number;
+  });
+  const trials = session.engine.state.sessionHistory.map(trial => [trial.currentNumber, trial.previousNumber, trial.correctAnswer]);
+  assert.deepEqual(trials, expected.slice(0, trials.length));
+});
+
+test('cross-modal answers need a mixed session', () => {
+  const engine = createSessionEngine({ modality: 'visual', crossModalAnswer: true, nbackValue: 2 });
+  assert.equal(engine.settings.crossModalAnswer, false);
+  assert.equal(engine.settings.nbackValue, 2);
+  assert.equal(engine.getSummary().modalityBreakdown, null);
+  assert.equal(createSessionEngine({ modality: 'tactile' }).settings.modality, 'auditory');
+});
+
+// A long digit sequence drawn with the given rules for the given task
+function generateSequence(rules, length, task = {}, seed = 5) {
+  const random = createSeededRandom(seed);
+  const mergedRules = Object.assign({}, DEFAULT_SEQUENCE_RULES, rules);
+  const mergedTask = Object.assign({}, DEFAULT_TASK, task);
+  const sequence = [];
+  while (sequence.length < length) {
+    sequence.push(generateNumber(sequence, random, mergedRules, mergedTask));
+  }
+  return sequence;
+}
+
+// Answers of a sequence (one per digit that has a partner)
+function answersOf(sequence, nback = 1, task = DEFAULT_TASK) {
+  return sequence.slice(nback).map((digit, i) => calculateNbackAnswer(digit, sequence.slice(0, i + nback + 1), nback, task));
+}
+
+test('A-A and A-B-A repeats follow their allowed probabilities', () => {
+  const count = (sequence, distance) => sequence.filter((digit, i) => i >= distance && digit === sequence[i - distance]).length;
+
+  const strict = generateSequence({ allowAAProbability: 0, allowABAProbability: 0 }, 2000);
+  assert.equal(count(strict, 1), 0);
+  assert.equal(count(strict, 2), 0);
+
+  // Fully allowed, the repeats come at about the natural 1 in 9
+  const free = generateSequence({ allowAAProbability: 1, allowABAProbability: 1 }, 2000);
+  assert.ok(count(free, 1) > 150 && count(free, 1) < 300);
+});
+
+test('repeat checks look at the partner N places back', () => {
+  const sequence = generateSequence({ allowAAProbability: 0, allowABAProbability: 0 }, 2000, { nbackValue: 2 });
+  assert.equal(sequence.filter((digit, i) => i >= 2 && digit === sequence[i - 2]).length, 0);
+  assert.equal(sequence.filter((digit, i) => i >= 4 && digit === sequence[i - 4]).length, 0);
+});
+
+test('the same answer never repeats more often than allowed', () => {
+  const answers = answersOf(generateSequence({ allowAAProbability: 1, allowABAProbability: 1, maxAnswerRepeats: 1 }, 2000));
+  assert.equal(answers.filter((value, i) => i > 0 && value === answers[i - 1]).length, 0);
+
+  const twice = answersOf(generateSequence({ maxAnswerRepeats: 2 }, 2000));
+  assert.equal(twice.filter((value, i) => i > 1 && value === twice[i - 1] && value === twice[i - 2]).length, 0);
+});
+
+test('answer patterns like 9, 12, 9, 12 are never completed', () => {
+  const answers = answersOf(generateSequence({ allowAAProbability: 1, allowABAProbability: 1, forbidIdenticalSumRuns: true }, 2000));
+  const runs = answers.filter((value, i) => i > 2 && answers[i - 3] === answers[i - 1] && answers[i - 2] === value);
+  assert.equal(runs.length, 0);
+});
+
+test('the answer distribution presets shift the answers', () => {
+  const twoDigitShare = distribution => {
+    const answers = answersOf(generateSequence({ answerDistribution: distribution }, 3000));
+    return answers.filter(value => value >= 10).length / answers.length;
+  };
+  const natural = twoDigitShare('natural');
+  assert.ok(twoDigitShare('high') > natural + 0.1);
+  assert.ok(twoDigitShare('low') < natural - 0.1);
+});
+
+test('the session uses and reports its sequence rules', async () => {
+  const session = startSession({ sequenceRules: { maxAnswerRepeats: 1 } });
+  for (let i = 0; i < 40; i++) {
+    await nextTrial(session);
+  }
+  const answers = session.engine.state.sessionHistory.map(trial => trial.correctAnswer);
+  assert.equal(answers.filter((value, i) => i > 0 && value === answers[i - 1]).length, 0);
+  assert.deepEqual(session.engine.getSummary().sequenceRules, Object.assign({}, DEFAULT_SEQUENCE_RULES, { maxAnswerRepeats: 1 }));
+});
+
+test('Constrain Sum to 9 keeps every answer a single digit', () => {
+  for (const nbackValue of [1, 2]) {
+    const sequence = generateSequence({ answerDistribution: 'high' }, 2000, { nbackValue: nbackValue, constrainSumTo9: true });
+    assert.ok(sequence.every(digit => digit >= 1 && digit <= 8));
+    assert.ok(answersOf(sequence, nbackValue).every(value => value <= 9));
+  }
+});
+
+test('a constrained session only asks for single-digit answers', async () => {
+  const session = startSession({ constrainSumTo9: true });
+  for (let i = 0; i < 30; i++) {
+    assert.ok((await nextTrial(session)).correctAnswer <= 9);
+  }
+  assert.equal(session.engine.getSummary().constrainSumTo9, true);
+});
+
+test('each operation has its own answer formula', () => {
+  const task = operation => Object.assign({}, DEFAULT_TASK, operation);
+  // previous 3, current 5
+  assert.equal(calculateNbackAnswer(5, [3, 5], 1, task({ operation: 'add' })), 8);
+  assert.equal(calculateNbackAnswer(5, [3, 5], 1, task({ operation: 'add', offset: 2 })), 10);
+  assert.equal(calculateNbackAnswer(5, [3, 5], 1, task({ operation: 'subtract' })), -2);
+  assert.equal(calculateNbackAnswer(5, [3, 5], 1, task({ operation: 'absDiff' })), 2);
+  // The offset belongs to addition only
+  assert.equal(calculateNbackAnswer(5, [3, 5], 1, task({ operation: 'subtract', offset: 2 })), -2);
+  // 2-back: previous is two places back
+  assert.equal(calculateNbackAnswer(2, [9, 4, 2], 2, task({ operation: 'subtract' })), 7);
+});
+
+test('each operation reports its answer range', () => {
+  assert.deepEqual(getAnswerRange({ operation: 'add' }), { min: 2, max: 18 });
+  assert.deepEqual(getAnswerRange({ operation: 'add', constrainSumTo9: true }), { min: 2, max: 9 });
+  assert.deepEqual(getAnswerRange({ operation: 'add', offset: 3 }), { min: 5, max: 21 });
+  assert.deepEqual(getAnswerRange({ operation: 'add', offset: 3, constrainSumTo9: true }), { min: 5, max: 9 });
+  assert.deepEqual(getAnswerRange({ operation: 'subtract' }), { min: -8, max: 8 });
+  assert.deepEqual(getAnswerRange({ operation: 'absDiff' }), { min: 0, max: 8 });
+  assert.equal(getOperationLabel('add', 2), 'Addition +2');
+  assert.equal(getOperationLabel('absDiff', 0), 'Absolute Difference');
+});
+
+test('+N answers go up to 18 + N unless the sum is constrained', () => {
+  const task = { operation: 'add', offset: 3 };
+  const answers = answersOf(generateSequence({ allowAAProbability: 1 }, 2000, task), 1, Object.assign({}, DEFAULT_TASK, task));
+  // 9 may follow 9 - nothing is held back to keep answers at 18
+  assert.equal(Math.max(...answers), 21);
+  assert.equal(Math.min(...answers), 5);
+});
+
+test('sessions ask for the answer of their operation', async () => {
+  const formulas = {
+    subtract: trial => trial.previousNumber - trial.currentNumber,
+    absDiff: trial => Math.abs(trial.previousNumber - trial.currentNumber)
+  };
+  for (const operation of Object.keys(formulas)) {
+    const session = startSession({ operation: operation, offset: 2, constrainSumTo9: true });
+    for (let i = 0; i < 30; i++) {
+      const trial = await nextTrial(session);
+      assert.equal(trial.correctAnswer, formulas[operation](trial));
+      assert.ok(trial.correctAnswer >= session.engine.answerRange.min && trial.correctAnswer <= session.engine.answerRange.max);
+    }
+    // +N and Constrain Sum to 9 only apply to addition
+    assert.deepEqual(session.engine.task, { nbackValue: 1, constrainSumTo9: false, operation: operation, offset: 0 });
+    assert.equal(session.engine.getSummary().operation, operation);
+  }
+});
+
+test('+N sessions add the offset to every sum', async () => {
+  const session = startSession({ offset: 2 });
+  for (let i = 0; i < 20; i++) {
+    const trial = await nextTrial(session);
+    assert.equal(trial.correctAnswer, trial.previousNumber + trial.currentNumber + 2);
+  }
+  assert.equal(session.engine.getSummary().offset, 2);
+  assert.equal(startSession({ offset: 7 }).engine.task.offset, 3);
+});
+
+test('Constrain Sum to 9 counts the offset', () => {
+  const task = { nbackValue: 1, constrainSumTo9: true, offset: 2 };
+  const sequence = generateSequence({}, 2000, task);
+  assert.ok(answersOf(sequence, 1, Object.assign({}, DEFAULT_TASK, task)).every(value => value <= 9));
+});
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// ==========================================
+// Voice sprite builder
+// audio/ 폴더의 숫자별 녹음(one.wav … nine.wav, one_1.wav …)을 이어 붙여
+// 음성 팩 하나당 스프라이트 파일 하나(audio/voice-a.wav, audio/voice-b.wav)를 만들고,
+// audio/manifest.json의 segments 오프셋을 실제로 쓴 위치로 다시 적습니다.
+//
+// Usage:  node tools/build-voice-sprites.js [outputDir]
+//   outputDir를 주면 그 폴더에 결과를 쓰고 (비교/확인용), 없으면 audio/를 덮어씁니다.
+//
+// Layout: 각 숫자는 원본 샘플 그대로 복사되고, 길이는 10ms 단위로 올림해 무음으로 채운 뒤 50ms 무음 간격이 붙습니다.
+// Voice A는 마지막에 beep(880Hz, 150ms) 구간이 붙습니다. 숫자 녹음을 바꾸거나 추가했다면 이 스크립트를 다시 실행하세요.
+// ==========================================
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIO_DIR = path.join(__dirname, '..', 'audio');
+const MANIFEST_FILE = 'manifest.json';
+
+const SEGMENT_STEP = 10;  // Segment lengths are rounded up to this (ms)
+const SEGMENT_GAP = 50;   // Silence after each digit (ms)
+
+const BEEP = {
+  frequency: 880,   // Hz, same tone as the generated in-app beep
+  duration: 150,    // ms
+  amplitude: 0.5,
+  decay: 0.04       // Exponential decay time constant (s)
+};
+
+const DIGIT_NAMES = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+// Sprites to build. Digits without a recording are left out (the voice's manifest fallback covers them).
+const SPRITES = [
+  { id: 'A', src: 'voice-a.wav', suffix: '', beep: true },
+  { id: 'B', src: 'voice-b.wav', suffix: '_1', beep: false }
+];
+
+// Read a 16-bit PCM WAV file
+function readWav(file) {
+  const data = fs.readFileSync(file);
+  if (data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error(`${file}: not a WAV file`);
+  }
+
+  let format = null;
+  let samples = null;
+  let offset = 12;
+  while (offset + 8 <= data.length) {
+    const id = data.toString('ascii', offset, offset + 4);
+    const size = data.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: data.readUInt16LE(body),
+        channels: data.readUInt16LE(body + 2),
+        sampleRate: data.readUInt32LE(body + 4),
+        bitsPerSample: data.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      samples = data.subarray(body, body + size);
+    }
+    offset = body + size + (size % 2);
+  }
+
+  if (!format || !samples) {
+    throw new Error(`${file}: missing fmt or data chunk`);
+  }
+  if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+    throw new Error(`${file}: only 16-bit PCM is supported`);
+  }
+  return { ...format, samples };
+}
+
+// Build a 16-bit PCM WAV file
+function encodeWav({ channels, sampleRate }, samples) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * 2;
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + samples.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(samples.length, 40);
+  return Buffer.concat([header, samples]);
+}
+
+// Byte length of `ms` milliseconds of audio
+function msToBytes({ channels, sampleRate }, ms) {
+  return Math.round(sampleRate * ms / 1000) * channels * 2;
+}
+
+// Decaying sine beep, identical on every channel
+function createBeep({ channels, sampleRate }) {
+  const frames = Math.round(sampleRate * BEEP.duration / 1000);
+  const samples = Buffer.alloc(frames * channels * 2);
+  for (let i = 0; i < frames; i++) {
+    const t = i / sampleRate;
+    const value = Math.trunc(BEEP.amplitude * 32767 *
+      Math.sin(2 * Math.PI * BEEP.frequency * t) * Math.exp(-t / BEEP.decay));
+    for (let channel = 0; channel < channels; channel++) {
+      samples.writeInt16LE(value, (i * channels + channel) * 2);
+    }
+  }
+  return samples;
+}
+
+// Concatenate one voice's digit recordings into a sprite
+function buildSprite(sprite) {
+  let format = null;
+  const parts = [];
+  const segments = {};
+  let position = 0;
+
+  DIGIT_NAMES.forEach((name, index) => {
+    const file = path.join(AUDIO_DIR, `${name}${sprite.suffix}.wav`);
+    if (!fs.existsSync(file)) return;
+
+    const wav = readWav(file);
+    if (format && (wav.channels !== format.channels || wav.sampleRate !== format.sampleRate)) {
+      throw new Error(`${file}: format differs from the other ${sprite.id} recordings`);
+    }
+    format = format || { channels: wav.channels, sampleRate: wav.sampleRate };
+
+    const length = wav.samples.length / (format.channels * 2) / format.sampleRate * 1000;
+    const duration = Math.ceil(length / SEGMENT_STEP) * SEGMENT_STEP;
+    const slot = Buffer.alloc(msToBytes(format, duration + SEGMENT_GAP));
+    wav.samples.copy(slot, 0, 0, Math.min(wav.samples.length, slot.length));
+
+    segments[index + 1] = [position, duration];
+    parts.push(slot);
+    position += duration + SEGMENT_GAP;
+  });
+
+  if (!format) {
+    throw new Error(`No recordings found for voice ${sprite.id}`);
+  }
+
+  if (sprite.beep) {
+    segments.beep = [position, BEEP.duration];
+    parts.push(createBeep(format));
+  }
+
+  return { data: encodeWav(format, Buffer.concat(parts)), segments };
+}
+
+// Manifest JSON with each [offset, duration] pair kept on one line
+function formatManifest(manifest) {
+  return JSON.stringify(manifest, null, 2)
+    .replace(/\[\s+(\d+),\s+(\d+)\s+\]/g, '[$1, $2]') + '\n';
+}
+
+function main() {
+  const outputDir = process.argv[2] ? path.resolve(process.argv[2]) : AUDIO_DIR;
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(AUDIO_DIR, MANIFEST_FILE), 'utf8'));
+
+  SPRITES.forEach(sprite => {
+    const voice = manifest.voices.find(entry => entry.id === sprite.id);
+    if (!voice) {
+      throw new Error(`Voice ${sprite.id} is not listed in ${MANIFEST_FILE}`);
+    }
+
+    const { data, segments } = buildSprite(sprite);
+    fs.writeFileSync(path.join(outputDir, sprite.src), data);
+    voice.sprite = { src: sprite.src, segments };
+    console.log(`${sprite.src}: ${Object.keys(segments).join(', ')}`);
+  });
+
+  fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), formatManifest(manifest));
+}
+
+main();
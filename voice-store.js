@@ -0,0 +1,99 @@
+// ==========================================
+// Local voice pack storage (IndexedDB)
+// 사용자가 녹음하거나 가져온 숫자 음성(1-9)을 브라우저에 저장합니다.
+// 레코드: { key: 'pack:digit', pack, digit, blob, updatedAt }
+// 배경 소음 파일도 같은 저장소에 'noise' 팩으로 보관합니다.
+// ==========================================
+
+const VOICE_DB_NAME = 'pasatVoicePacks';
+const VOICE_DB_VERSION = 1;
+const VOICE_STORE_NAME = 'recordings';
+
+// Wrap an IDBRequest in a Promise
+function voiceRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Open (and create on first use) the voice pack database
+function openVoiceDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(VOICE_DB_NAME, VOICE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(VOICE_STORE_NAME)) {
+        const store = db.createObjectStore(VOICE_STORE_NAME, { keyPath: 'key' });
+        store.createIndex('pack', 'pack', { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run fn(store) in a transaction and close the database afterwards
+async function withVoiceStore(mode, fn) {
+  const db = await openVoiceDatabase();
+  try {
+    const transaction = db.transaction(VOICE_STORE_NAME, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await fn(transaction.objectStore(VOICE_STORE_NAME));
+    await done;
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+// Save one digit recording (replaces an earlier one)
+function saveVoiceRecording(packId, digit, blob) {
+  return withVoiceStore('readwrite', store => voiceRequest(store.put({
+    key: `${packId}:${digit}`,
+    pack: packId,
+    digit: digit,
+    blob: blob,
+    updatedAt: new Date().toISOString()
+  })));
+}
+
+// Load a pack's recordings as { digit: Blob }
+async function loadVoiceRecordings(packId) {
+  const records = await withVoiceStore('readonly', store => voiceRequest(store.index('pack').getAll(packId)));
+  const recordings = {};
+  records.forEach(record => {
+    recordings[record.digit] = record.blob;
+  });
+  return recordings;
+}
+
+// Delete one digit, or the whole pack when digit is omitted
+async function deleteVoiceRecordings(packId, digit) {
+  if (digit !== undefined) {
+    return withVoiceStore('readwrite', store => voiceRequest(store.delete(`${packId}:${digit}`)));
+  }
+  const keys = await withVoiceStore('readonly', store => voiceRequest(store.index('pack').getAllKeys(packId)));
+  return withVoiceStore('readwrite', store => Promise.all(keys.map(key => voiceRequest(store.delete(key)))));
+}
+
+// The user's background noise file lives in the same store as pack 'noise'
+const NOISE_FILE_PACK_ID = 'noise';
+
+function saveNoiseFile(blob) {
+  return saveVoiceRecording(NOISE_FILE_PACK_ID, 0, blob);
+}
+
+// Resolves with the stored Blob/File, or null
+async function loadNoiseFile() {
+  const recordings = await loadVoiceRecordings(NOISE_FILE_PACK_ID);
+  return recordings[0] || null;
+}